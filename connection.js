@@ -14,32 +14,116 @@ const ConnectionManager = (() => {
         debug: true,
         connectionTimeout: 20000,   // 20 seconds timeout for connections
         heartbeatInterval: 5000,    // 5 seconds between heartbeats
+        maxMissedHeartbeats: 3,     // Heartbeats a peer may miss in a row before its connection is closed
+        clockSampleCount: 8,        // Recent round trips to the host kept for clock offset estimation
         reconnectDelay: 2000,       // 2 seconds before reconnection attempts
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' },
-            {
-                urls: 'turn:openrelay.metered.ca:80',
-                username: 'openrelayproject',
-                credential: 'openrelayproject'
-            }
-        ]
+        hostMigration: true,        // Elect a new host when the current one drops
+        hostMigrationDelay: 1500,   // Give the elected host time to take over before connecting
+        sessionResumeWindow: 30000, // 30 seconds the host holds a dropped player's slot
+        sessionMaxAge: 600000,      // 10 minutes before a saved session is considered stale
+        messageHistorySize: 100,    // Chat messages the host keeps for replay on resume
+        ackTimeout: 3000,           // 3 seconds before an unacknowledged message is resent
+        maxRetransmits: 5,          // Resends before a link is considered broken
+        linkWindow: 64,             // How far past a gap messages are held for later; anything further is dropped and resent
+        packThreshold: 512,         // Messages over this many bytes of JSON go out in the binary codec (see message-codec.js)
+        compressThreshold: 1024,    // Packed messages over this many bytes are also deflated, if both sides can
+        maxUnpackedSize: 4194304,   // 4 MB largest message a peer's compressed data may inflate to
+        authTimeout: 10000,         // 10 seconds for a new peer to answer the room's challenge
+        rateLimits: {               // Token buckets the host keeps per player and message type; default covers the rest
+            chat_message: { rate: 2, burst: 5 },   // Tokens per second, and how many can be saved up
+            game_data: { rate: 20, burst: 40 },
+            ephemeral: { rate: 30, burst: 60 },
+            default: { rate: 10, burst: 20 }
+        },
+        rateLimitStrikes: 3,        // Throttle warnings a player may collect before being disconnected
+        rateLimitWindow: 60000,     // 1 minute before a throttle warning stops counting against a player
+        inviteTokenTtl: 86400000,   // 24 hours before an invite token expires
+        roomCodeAttempts: 5,        // Generated room codes tried before giving up on finding a free one
+        roomCodeLookupTimeout: 8000, // 8 seconds for a room code to answer with its room ID
+        topology: 'star',           // 'star' relays everything through the host, 'mesh' links guests directly
+        transport: 'peerjs',        // Registered transport to connect over (see transport.js)
+        transportOptions: {},       // Extra options passed to the transport's listen()
+        relayUrl: '',               // WebSocket relay (server/relay.js) to fall back to when WebRTC fails; '' disables it
+        signalingUrl: '',           // Self-hosted PeerServer, e.g. https://peer.example.com:9000/myapp?key=peerjs; '' uses the PeerJS cloud
+        iceServers: null            // STUN/TURN servers; null uses defaultIceServers
     };
     
+    // Public STUN/TURN servers used unless the user configures their own
+    const defaultIceServers = [
+        { urls: 'stun:stun.l.google.com:19302' },
+        { urls: 'stun:stun1.l.google.com:19302' },
+        {
+            urls: 'turn:openrelay.metered.ca:80',
+            username: 'openrelayproject',
+            credential: 'openrelayproject'
+        }
+    ];
+    
+    // Room codes are registered with the signaling server as peer IDs under this prefix
+    const roomCodePrefix = 'mentalplayer-room-';
+    
+    // Words for generated room codes; three of them make 729,000 codes that are easy to read aloud
+    const roomCodeWords = [
+        'amber', 'apple', 'arrow', 'autumn', 'badge', 'bamboo', 'banjo', 'beach', 'berry', 'bison',
+        'blaze', 'bloom', 'brave', 'breeze', 'brick', 'bright', 'brook', 'cabin', 'calm', 'candle',
+        'canyon', 'cedar', 'cherry', 'clever', 'cloud', 'clover', 'comet', 'copper', 'coral', 'cosmic',
+        'crane', 'crisp', 'dawn', 'delta', 'desert', 'dizzy', 'dragon', 'eager', 'echo', 'ember',
+        'falcon', 'fancy', 'fern', 'fiery', 'flint', 'forest', 'fox', 'frost', 'gentle', 'giant',
+        'ginger', 'glade', 'golden', 'granite', 'happy', 'harbor', 'hazel', 'honey', 'island', 'ivory',
+        'jade', 'jolly', 'jungle', 'kettle', 'kind', 'lemon', 'lilac', 'lively', 'lotus', 'lucky',
+        'lunar', 'maple', 'marble', 'meadow', 'mellow', 'mint', 'misty', 'noble', 'north', 'oak',
+        'ocean', 'olive', 'orbit', 'otter', 'panda', 'pebble', 'pepper', 'pine', 'planet', 'plum'
+    ];
+    
     // Connection state
     const state = {
         userId: '',
         userName: '',
+        profileId: '',         // Stable ID from the player's profile; the peer ID changes between sessions
+        userColor: '',         // Color the player picked, '' for one derived from the profile ID
+        userAvatar: '',        // Emoji the player picked, '' for none
         peer: null,            // PeerJS instance
+        relay: null,           // Relay server endpoint used when WebRTC can't get through
         status: 'disconnected',
         roomId: '',
+        roomCode: '',          // Readable code that leads to the room (e.g. brave-otter-maple), '' until claimed
+        codeEndpoint: null,    // Endpoint registered under our room code, answering lookups (host only)
+        codeRetryTimer: null,  // Pending retry of a room code the previous host still holds
         isHost: false,
+        spectator: false,      // We joined to watch, not play
         activeConnections: {}, // Map of active connections by peerId
         peers: {},             // Map of peer information by peerId
         pendingOffers: {},     // Track pending connection offers
         gameState: null,       // Current game state for sharing
-        heartbeatTimers: {},   // Map of heartbeat timers by peerId
-        masterHeartbeatTimer: null, // Main heartbeat timer
+        gameId: null,          // Game the shared state belongs to
+        migration: null,       // Host election in progress ({ previousHostId, excluded })
+        resume: null,          // Saved session waiting to be resumed
+        resuming: false,       // Rejoining a room we dropped out of
+        departedPeers: {},     // Slots held for dropped peers by peerId (host only)
+        bannedPeers: {},       // Peer IDs banned for the rest of the session (host only)
+        rateLimiters: {},      // Token buckets and throttle warnings by peerId ({ buckets, strikes }) (host only)
+        waitingPeers: [],      // Players waiting for a seat in arrival order ({ id, name }); the host's copy is authoritative
+        roomSeq: 0,            // Last sequence number stamped on a room message (host only)
+        lastSeq: 0,            // Last room message sequence number we have seen
+        messageHistory: [],    // Recent chat messages kept for replay (host only)
+        roomAuth: null,        // Room access ({ hasPassword, inviteOnly, memberKey }), null if open; only the host and its successor also hold passwordKey and tokenSecret
+        roomAuthReady: null,   // Resolves once roomAuth.passwordKey and memberKey have been derived (host only)
+        secretHolderId: null,  // Guest holding roomAuth's secrets to take over with; the host names it in the peer list so the election picks it
+        formerPeers: null,     // Players of the previous host's room let back in as members ({ keys: { peerId: publicKey }, until }) (host only)
+        credentials: {},       // Password and invite token we present when joining ({ password, token })
+        identity: null,        // Our ECDH key pair for end-to-end encryption
+        publicKey: null,       // Our public key (base64), sent in peer_info
+        roomKey: null,         // Promise of the room's AES-GCM key in an end-to-end encrypted room, null otherwise
+        awaitRoomKey: null,    // Resolves roomKey once the host sends it, while the peer list says the room is encrypted
+        onPasswordRequired: null, // Callback asking the user for a room password; resolves to the password or null
+        links: {},             // Ordered delivery state by peerId ({ nextSeq, unacked, expectedSeq, buffer })
+        ephemeralChannels: {}, // Unordered, unreliable side connections by peerId, for data that is stale by the time it's resent
+        retransmitTimer: null, // Timer that resends unacknowledged messages
+        linkStats: {},         // Heartbeat measurements by peerId ({ rtt, jitter, lastSample, missed, pendingSince })
+        remoteQuality: {},     // Link quality the host measured to each player, by peerId (guests only)
+        clockOffset: 0,        // Milliseconds to add to Date.now() to get the room clock
+        clockSamples: [],      // Recent { rtt, offset } measurements against the host's clock (guests only)
+        masterHeartbeatTimer: null, // Single timer that heartbeats every link
         connectionAttempts: 0, // Counter for connection attempts
         onStateChangeCallback: null // Callback for state changes
     };
@@ -47,6 +131,97 @@ const ConnectionManager = (() => {
     // Debug message queue
     const debugMessages = [];
     
+    // Simulated bad network for reproducing sync bugs locally (see setNetworkConditions)
+    const networkConditions = {
+        enabled: false,
+        latency: 0,     // Delay added to every message (ms)
+        jitter: 0,      // Up to this much extra random delay (ms)
+        loss: 0,        // Chance (0-1) a message is dropped
+        reorder: 0,     // Chance (0-1) a message is held back so later ones overtake it
+        duplicate: 0,   // Chance (0-1) a message is delivered twice
+        send: true,     // Apply to messages we send
+        receive: true   // Apply to messages we receive
+    };
+    
+    // What the simulator did to messages, for the debug panel
+    const networkStats = { delayed: 0, dropped: 0, reordered: 0, duplicated: 0 };
+    
+    /**
+     * Events available through on/off/once, with the payload each handler receives.
+     * Every peer message also fires message:<type> (e.g. message:chat_message).
+     *
+     * @typedef {Object} PeerEvent       peerJoined, peerLeft
+     * @property {string} peerId         ID of the player
+     * @property {Object} peer           Peer entry ({ id, name, isHost, color, ... })
+     *
+     * @typedef {Object} MessageEvent    message:<type>
+     * @property {string} peerId         Peer the message arrived from
+     * @property {string} senderId       Player who originally sent it
+     * @property {Object} data           The message
+     *
+     * @typedef {Object} StatusEvent     statusChanged
+     * @property {string} status         New status
+     * @property {string} previous       Status before the change
+     * @property {string} message        Human-readable description
+     *
+     * @typedef {Object} HostEvent       hostChanged
+     * @property {string} hostId         ID of the new host
+     * @property {string} previousHostId ID of the host that left or handed over
+     * @property {boolean} isHost        True if we are the new host
+     *
+     * stateChanged receives the same snapshot as the onStateChange callback.
+     */
+    const eventNames = ['peerJoined', 'peerLeft', 'statusChanged', 'hostChanged', 'stateChanged'];
+    
+    // Event handlers by event name
+    const listeners = {};
+    
+    // Peers as of the last state change, to work out who joined and left
+    let announcedPeers = {};
+    
+    // Link-level messages that are neither sequenced nor logged
+    const controlTypes = ['heartbeat', 'heartbeat_ack', 'ack'];
+    
+    // Messages whose content is encrypted in end-to-end encrypted rooms
+    const sealedTypes = ['chat_message', 'game_data', 'game_state', 'ephemeral'];
+    
+    // Verification fingerprints by public key, filled in as they are computed
+    const fingerprints = {};
+    
+    // Messages that arrived encrypted, so plaintext copies can be told apart
+    const openedMessages = new WeakSet();
+    
+    // Messages the host already took from the sender's rate limit, with whether they were within it
+    const rateChecked = new WeakMap();
+    
+    // Round-trip time and jitter (ms) a link must stay under for each quality level
+    const qualityThresholds = {
+        good: { rtt: 150, jitter: 30 },
+        fair: { rtt: 400, jitter: 100 }
+    };
+    
+    // Reasons the host gives when it turns a peer away
+    const authErrors = {
+        AUTH_REQUIRED: 'auth_required', // No password or invite token supplied
+        BAD_PASSWORD: 'bad_password',   // Password didn't match
+        TOKEN_INVALID: 'token_invalid', // Invite token wasn't signed by this room
+        TOKEN_EXPIRED: 'token_expired', // Invite token is past its expiry
+        AUTH_TIMEOUT: 'auth_timeout',   // Peer didn't answer the challenge in time
+        BANNED: 'banned',               // Host banned the peer for this session
+        ENCRYPTION_UNSUPPORTED: 'encryption_unsupported' // Peer can't take part in an encrypted room
+    };
+    
+    // What the user sees for each rejection
+    const authErrorMessages = {
+        auth_required: 'This room is private. You need the room password or an invite link to join.',
+        bad_password: 'The room password is incorrect.',
+        token_invalid: 'This invite link is not valid for the room.',
+        token_expired: 'This invite link has expired. Ask the host for a new one.',
+        auth_timeout: 'The room closed the connection because it did not receive credentials in time.',
+        banned: 'The host has banned you from this room.',
+        encryption_unsupported: 'This room is end-to-end encrypted, and your browser does not support the encryption it needs.'
+    };
+    
     /**
      * Log a debug message
      * @param {string} direction Message direction (SENT, RECEIVED)
@@ -103,15 +278,89 @@ const ConnectionManager = (() => {
             state.userName = options.userName;
         }
         
+        if (options.profileId) {
+            state.profileId = options.profileId;
+        }
+        
+        if (options.userColor) {
+            state.userColor = options.userColor;
+        }
+        
+        if (options.userAvatar) {
+            state.userAvatar = options.userAvatar;
+        }
+        
         if (options.onStateChange && typeof options.onStateChange === 'function') {
             state.onStateChangeCallback = options.onStateChange;
         }
         
+        if (options.onPasswordRequired && typeof options.onPasswordRequired === 'function') {
+            state.onPasswordRequired = options.onPasswordRequired;
+        }
+        
         if (options.debug !== undefined) {
             config.debug = !!options.debug;
         }
         
-        // Initialize PeerJS
+        if (options.topology) {
+            config.topology = options.topology === 'mesh' ? 'mesh' : 'star';
+        }
+        
+        if (options.transport) {
+            config.transport = options.transport;
+        }
+        
+        if (options.transportOptions) {
+            config.transportOptions = options.transportOptions;
+        }
+        
+        if (options.rateLimits && typeof options.rateLimits === 'object') {
+            config.rateLimits = { ...config.rateLimits, ...options.rateLimits };
+        }
+        
+        if (options.networkConditions) {
+            setNetworkConditions(options.networkConditions);
+        }
+        
+        // Only use server settings that pass validation, otherwise keep the defaults
+        const serverSettings = {
+            signalingUrl: options.signalingUrl,
+            iceServers: options.iceServers,
+            relayUrl: options.relayUrl
+        };
+        const validation = validateServerSettings(serverSettings);
+        if (validation.valid) {
+            applyServerSettings(serverSettings);
+        } else {
+            validation.errors.forEach(error => log(`Invalid server setting: ${error}`, 'error'));
+            
+            if (window.MentalPlayer && window.MentalPlayer.showNotification) {
+                window.MentalPlayer.showNotification(
+                    'Server Settings Ignored',
+                    `Using the default servers instead. ${validation.errors.join(' ')}`,
+                    'warning'
+                );
+            }
+        }
+        
+        // Pick up a saved session for this user so we can rejoin automatically
+        const session = loadSession();
+        if (session && session.userId === state.userId) {
+            log(`Found saved session for room ${session.roomId}`);
+            state.resume = session;
+        }
+        
+        // Resume as soon as the browser is back online if signaling stayed up
+        window.addEventListener('online', () => {
+            if (state.resume && state.peer && !state.peer.disconnected) {
+                resumeSession();
+            }
+        });
+        
+        // Ready our encryption keys before anyone asks for them
+        createIdentity();
+        
+        // Initialize the transport endpoint
         initializePeer();
         
         // Create debug panel if in debug mode
@@ -137,11 +386,29 @@ const ConnectionManager = (() => {
         header.style.cssText = 'padding:5px; background:rgba(0,0,0,0.5); display:flex; justify-content:space-between;';
         header.innerHTML = '<span>Connection Debug</span><span id="connection-debug-close" style="cursor:pointer;"></span>';
         
+        const simulator = document.createElement('div');
+        simulator.id = 'connection-debug-simulator';
+        simulator.style.cssText = 'padding:5px; border-bottom:1px solid rgba(255,255,255,0.2);';
+        simulator.innerHTML = `
+            <label><input type="checkbox" data-condition="enabled"> Simulate network</label>
+            <label><input type="checkbox" data-condition="send"> send</label>
+            <label><input type="checkbox" data-condition="receive"> receive</label>
+            <div class="debug-conditions">
+                <label>Latency <input type="number" min="0" step="10" data-condition="latency">ms</label>
+                <label>Jitter <input type="number" min="0" step="10" data-condition="jitter">ms</label>
+                <label>Loss <input type="number" min="0" max="100" data-condition="loss" data-percent>%</label>
+                <label>Reorder <input type="number" min="0" max="100" data-condition="reorder" data-percent>%</label>
+                <label>Duplicate <input type="number" min="0" max="100" data-condition="duplicate" data-percent>%</label>
+            </div>
+            <div id="connection-debug-stats"></div>
+        `;
+        
         const content = document.createElement('div');
         content.id = 'connection-debug';
         content.style.cssText = 'padding:5px; max-height:250px; overflow-y:auto;';
         
         container.appendChild(header);
+        container.appendChild(simulator);
         container.appendChild(content);
         document.body.appendChild(container);
         
@@ -151,9 +418,30 @@ const ConnectionManager = (() => {
             .debug-message { margin-bottom: 3px; padding: 3px; border-radius: 3px; }
             .debug-message.sent { background: rgba(0, 100, 0, 0.3); }
             .debug-message.received { background: rgba(0, 0, 100, 0.3); }
+            .debug-conditions { display: flex; flex-wrap: wrap; gap: 2px 8px; margin: 3px 0; }
+            .debug-conditions input { width: 48px; background: rgba(255, 255, 255, 0.1); color: white; border: none; }
         `;
         document.head.appendChild(style);
         
+        // Keep the simulator inputs and the conditions in step
+        const inputs = simulator.querySelectorAll('[data-condition]');
+        inputs.forEach(input => {
+            const name = input.dataset.condition;
+            const scale = input.hasAttribute('data-percent') ? 100 : 1;
+            
+            if (input.type === 'checkbox') {
+                input.checked = networkConditions[name];
+            } else {
+                input.value = Math.round(networkConditions[name] * scale);
+            }
+            
+            input.addEventListener('change', () => {
+                const value = input.type === 'checkbox' ? input.checked : (Number(input.value) || 0) / scale;
+                setNetworkConditions({ [name]: value });
+            });
+        });
+        updateSimulatorStats();
+        
         // Add event listeners
         document.getElementById('connection-debug-close').addEventListener('click', () => {
             container.style.display = 'none';
@@ -161,45 +449,263 @@ const ConnectionManager = (() => {
     }
     
     /**
-     * Initialize the PeerJS instance
+     * Initialize our endpoint on the configured transport
      */
     function initializePeer() {
-        if (!window.Peer) {
-            log('PeerJS library not found. Attempting to load it', 'error');
-            
-            // Try to load PeerJS dynamically
-            const script = document.createElement('script');
-            script.src = 'https://unpkg.com/peerjs@1.4.7/dist/peerjs.min.js';
-            script.onload = () => initializePeer();
-            script.onerror = () => {
-                log('Failed to load PeerJS library', 'error');
-                updateStatus('error', 'Failed to load connection library');
-            };
+        const transport = window.Transports && window.Transports.getTransport(config.transport);
+        if (!transport) {
+            log(`Transport '${config.transport}' is not registered`, 'error');
+            updateStatus('error', 'Connection system initialization failed');
+            return;
+        }
+        
+        if (!transport.isAvailable()) {
+            if (typeof transport.load !== 'function') {
+                log(`Transport '${config.transport}' is not supported here`, 'error');
+                updateStatus('error', 'Connection system not supported by this browser');
+                return;
+            }
+            
+            log(`Transport '${config.transport}' not ready. Attempting to load it`, 'error');
             
-            document.head.appendChild(script);
+            // Try to load the transport's library dynamically
+            transport.load()
+                .then(() => initializePeer())
+                .catch(error => {
+                    log(`Failed to load transport: ${error.message}`, 'error');
+                    updateStatus('error', 'Failed to load connection library');
+                });
             return;
         }
         
         try {
-            // Create a Peer instance with the user ID
-            state.peer = new Peer(state.userId, {
-                config: {
-                    iceServers: config.iceServers,
-                    iceCandidatePoolSize: 10
-                },
-                debug: config.debug ? 2 : 0
-            });
+            // Create an endpoint with the user ID
+            state.peer = transport.listen(state.userId, getEndpointOptions());
             
-            // Set up event listeners for the peer
+            // Set up event listeners for the endpoint
             setupPeerEventListeners();
         } catch (error) {
-            log(`Error initializing PeerJS: ${error.message}`, 'error');
+            log(`Error initializing transport: ${error.message}`, 'error');
             updateStatus('error', 'Connection system initialization failed');
+            return;
+        }
+        
+        // Stay reachable through the relay too, so peers that can't reach us directly can fall back to it
+        initializeRelay();
+    }
+    
+    /**
+     * Options for endpoints on the configured transport
+     * @returns {Object} Options for transport.listen()
+     */
+    function getEndpointOptions() {
+        return {
+            ...config.transportOptions,
+            iceServers: config.iceServers || defaultIceServers,
+            signalingUrl: config.signalingUrl,
+            relayUrl: config.relayUrl,
+            debug: config.debug
+        };
+    }
+    
+    /**
+     * Check signaling, ICE and relay server settings.
+     * Settings left undefined are not checked; null or '' mean "use the default".
+     * @param {Object} settings { signalingUrl, iceServers, relayUrl }
+     * @returns {Object} Validation result {valid: boolean, errors: string[]}
+     */
+    function validateServerSettings(settings = {}) {
+        const errors = [];
+        
+        if (settings.signalingUrl) {
+            const url = parseUrl(settings.signalingUrl);
+            if (!url || !['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+                errors.push('Signaling server must be an http(s):// or ws(s):// URL.');
+            }
+        }
+        
+        if (settings.relayUrl) {
+            const url = parseUrl(settings.relayUrl);
+            if (!url || !['ws:', 'wss:'].includes(url.protocol)) {
+                errors.push('Relay server must be a ws:// or wss:// URL.');
+            }
+        }
+        
+        if (settings.iceServers !== undefined && settings.iceServers !== null) {
+            if (!Array.isArray(settings.iceServers)) {
+                errors.push('ICE servers must be a list.');
+            } else {
+                settings.iceServers.forEach((server, index) => {
+                    const urls = server && (Array.isArray(server.urls) ? server.urls : [server.urls]);
+                    
+                    if (!urls || urls.length === 0 || !urls.every(url => typeof url === 'string' && /^(stuns?|turns?):\S+$/i.test(url))) {
+                        errors.push(`ICE server ${index + 1} needs stun:, stuns:, turn: or turns: URLs.`);
+                        return;
+                    }
+                    
+                    // TURN servers always need credentials
+                    if (urls.some(url => /^turns?:/i.test(url)) && (!server.username || !server.credential)) {
+                        errors.push(`ICE server ${index + 1} is a TURN server and needs a username and credential.`);
+                    }
+                });
+            }
+        }
+        
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Parse a URL without throwing
+     * @param {string} value URL to parse
+     * @returns {URL|null} Parsed URL or null if invalid
+     */
+    function parseUrl(value) {
+        try {
+            return new URL(value);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Store already validated server settings in the config
+     * @param {Object} settings { signalingUrl, iceServers, relayUrl }; undefined entries are left alone
+     */
+    function applyServerSettings(settings) {
+        if (settings.signalingUrl !== undefined) {
+            config.signalingUrl = settings.signalingUrl || '';
+        }
+        
+        if (settings.iceServers !== undefined) {
+            config.iceServers = settings.iceServers ? settings.iceServers.map(server => ({ ...server })) : null;
+        }
+        
+        if (settings.relayUrl !== undefined) {
+            config.relayUrl = settings.relayUrl || '';
+        }
+    }
+    
+    /**
+     * Get the server settings in use
+     * @returns {Object} { signalingUrl, iceServers, relayUrl }; iceServers is null when using the defaults
+     */
+    function getServerSettings() {
+        return {
+            signalingUrl: config.signalingUrl,
+            iceServers: config.iceServers ? config.iceServers.map(server => ({ ...server })) : null,
+            relayUrl: config.relayUrl
+        };
+    }
+    
+    /**
+     * Switch to different servers, reconnecting the transport to use them
+     * @param {Object} settings { signalingUrl, iceServers, relayUrl }
+     * @returns {Object} Validation result {valid: boolean, errors: string[]}
+     */
+    function configureServers(settings) {
+        const validation = validateServerSettings(settings);
+        if (!validation.valid) {
+            return validation;
+        }
+        
+        if (state.roomId) {
+            return {
+                valid: false,
+                errors: ['Leave the room before changing servers.']
+            };
+        }
+        
+        applyServerSettings(settings);
+        log('Server settings changed, reconnecting');
+        
+        if (!initialized) {
+            return validation;
+        }
+        
+        // Destroying the endpoint fires 'close', which reinitializes it with the new settings
+        if (state.peer) {
+            state.peer.destroy();
+        } else {
+            initializePeer();
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Register on the relay server alongside the main transport
+     */
+    function initializeRelay() {
+        if (!config.relayUrl || config.transport === 'websocket' || state.relay) return;
+        
+        const transport = window.Transports && window.Transports.getTransport('websocket');
+        if (!transport || !transport.isAvailable()) {
+            log('Relay fallback unavailable: WebSocket transport not supported', 'warning');
+            return;
+        }
+        
+        try {
+            state.relay = transport.listen(state.userId, { relayUrl: config.relayUrl });
+            setupRelayEventListeners();
+        } catch (error) {
+            log(`Error connecting to relay server: ${error.message}`, 'error');
+            state.relay = null;
         }
     }
     
     /**
-     * Set up event listeners for the PeerJS instance
+     * Set up event listeners for the relay endpoint
+     */
+    function setupRelayEventListeners() {
+        const relay = state.relay;
+        
+        relay.on('open', () => {
+            log(`Registered with relay server at ${config.relayUrl}`);
+        });
+        
+        // Peers that fell back to the relay connect to us here
+        relay.on('connection', handleConnectionRequest);
+        
+        relay.on('error', error => {
+            log(`Relay error: ${error.type} - ${error.message}`, 'warning');
+            
+            // Nobody is listening on the relay under that ID, so there is nothing left to try
+            if (error.type === 'peer-unavailable') {
+                Object.keys(state.pendingOffers).forEach(peerId => {
+                    const offer = state.pendingOffers[peerId];
+                    if (!offer.viaRelay || !error.message.endsWith(peerId)) return;
+                    
+                    clearTimeout(offer.timeoutId);
+                    delete state.pendingOffers[peerId];
+                    handleConnectionFailure(peerId);
+                });
+                return;
+            }
+            
+            // Registration failed (relay down or our old socket still registered); try again later
+            setTimeout(() => {
+                if (state.relay === relay) {
+                    relay.reconnect();
+                }
+            }, config.reconnectDelay * 2);
+        });
+        
+        relay.on('disconnected', () => {
+            log('Disconnected from relay server', 'warning');
+            
+            setTimeout(() => {
+                if (state.relay === relay) {
+                    relay.reconnect();
+                }
+            }, config.reconnectDelay);
+        });
+    }
+    
+    /**
+     * Set up event listeners for the transport endpoint
      */
     function setupPeerEventListeners() {
         if (!state.peer) return;
@@ -208,24 +714,22 @@ const ConnectionManager = (() => {
         state.peer.on('open', id => {
             log(`Peer connection established with ID: ${id}`);
             state.userId = id;
-            updateStatus('initialized', 'Ready to connect');
+            
+            if (state.resume) {
+                resumeSession();
+            } else if (state.roomId) {
+                // Signaling came back while our room connections stayed up
+                updateStatus('connected', 'Reconnected to signaling server');
+            } else {
+                updateStatus('initialized', 'Ready to connect');
+            }
             
             // Notify state change
             notifyStateChange();
         });
         
         // When another peer tries to connect to us
-        state.peer.on('connection', connection => {
-            log(`Incoming connection from peer: ${connection.peer}`);
-            
-            // Only accept connections if we're hosting a room
-            if (state.isHost) {
-                handleIncomingConnection(connection);
-            } else {
-                log('Rejecting connection as we are not hosting a room', 'warning');
-                connection.close();
-            }
-        });
+        state.peer.on('connection', handleConnectionRequest);
         
         // Error handling
         state.peer.on('error', error => {
@@ -233,9 +737,47 @@ const ConnectionManager = (() => {
             
             switch (error.type) {
                 case 'peer-unavailable':
+                    // Room code lookups report their own failures
+                    if (error.message.includes(roomCodePrefix)) {
+                        break;
+                    }
+                    
+                    // A failed direct link to another guest doesn't affect the room;
+                    // messages to that guest keep going through the host
+                    if (config.topology === 'mesh' && state.status === 'connected' && !state.migration) {
+                        log(`Mesh peer unavailable: ${error.message}`, 'warning');
+                        break;
+                    }
+                    
+                    // The elected host is gone too; run the election again without it
+                    if (state.migration) {
+                        state.migration.excluded.push(state.roomId);
+                        migrateHost(state.migration.previousHostId);
+                        break;
+                    }
+                    
+                    // The room we tried to resume is gone
+                    if (state.resuming) {
+                        state.resuming = false;
+                        clearSession();
+                    }
+                    
                     updateStatus('error', 'Room not found');
                     showConnectionError('The specified room could not be found. Please check the Room ID and try again.');
                     break;
+                
+                case 'unavailable-id':
+                    // After a refresh the broker may still hold our old peer ID for a moment
+                    if (state.resume) {
+                        // Destroying the peer fires 'close', which reinitializes it after a delay
+                        log('Peer ID still in use, retrying shortly');
+                        state.peer.destroy();
+                        break;
+                    }
+                    
+                    updateStatus('error', 'ID unavailable');
+                    showConnectionError('Your player ID is already in use. Please refresh the page.');
+                    break;
                     
                 case 'network':
                     updateStatus('error', 'Network error');
@@ -295,13 +837,28 @@ const ConnectionManager = (() => {
     
     /**
      * Create a new room
+     * @param {Object} options Optional { password, inviteOnly } to restrict who can join,
+     *                         { encrypted } to encrypt chat and game data end to end,
+     *                         and { code } to pick the room code instead of getting a generated one
+     * @returns {boolean} Success status
      */
-    function createRoom() {
+    function createRoom(options = {}) {
         if (!initialized || !state.peer) {
             log('Cannot create room: Connection manager not initialized', 'error');
             return false;
         }
         
+        if (options.code && !isRoomCode(options.code)) {
+            log(`Cannot create room: '${options.code}' is not a valid room code`, 'error');
+            return false;
+        }
+        
+        if (options.encrypted && !state.identity) {
+            log('Cannot create encrypted room: WebCrypto is not available', 'error');
+            showConnectionError('This browser cannot create end-to-end encrypted rooms.');
+            return false;
+        }
+        
         if (state.status === 'connected') {
             log('Leaving current room before creating a new one');
             leaveRoom();
@@ -310,13 +867,43 @@ const ConnectionManager = (() => {
         // Use our peer ID as the room ID
         state.roomId = state.userId;
         state.isHost = true;
+        state.spectator = false;
+        
+        // The host's clock is the room clock
+        state.clockOffset = 0;
+        state.clockSamples = [];
+        
+        // Guests must prove they know the password or hold an invite token
+        if (options.password || options.inviteOnly) {
+            state.roomAuth = {
+                hasPassword: !!options.password,
+                passwordKey: null,
+                inviteOnly: !!options.inviteOnly,
+                tokenSecret: randomHex(32)
+            };
+            state.roomAuthReady = Promise.all([
+                options.password ? sha256Hex(options.password) : null,
+                memberKeyFor(state.userId)
+            ]).then(([passwordKey, memberKey]) => {
+                state.roomAuth.passwordKey = passwordKey;
+                state.roomAuth.memberKey = memberKey;
+            });
+        }
+        
+        // Guests get this key sealed for them alone when they introduce themselves
+        state.roomKey = options.encrypted
+            ? crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+            : null;
         
         // Add ourselves to the peers list
         state.peers[state.userId] = {
             id: state.userId,
             name: state.userName,
             isHost: true,
-            color: getColorForUser(state.userId)
+            color: getSelfColor(),
+            avatar: state.userAvatar,
+            profileId: state.profileId,
+            publicKey: state.publicKey
         };
         
         log(`Created room with ID: ${state.roomId}`);
@@ -327,6 +914,13 @@ const ConnectionManager = (() => {
         // Start heartbeat
         startHeartbeat();
         
+        // The room works by ID straight away; the code follows once the signaling server confirms it
+        if (options.code) {
+            claimRoomCode(normalizeRoomCode(options.code));
+        } else {
+            claimRoomCode(generateRoomCode(), { generated: true });
+        }
+        
         // Notify state change
         notifyStateChange();
         
@@ -334,43 +928,256 @@ const ConnectionManager = (() => {
     }
     
     /**
-     * Join an existing room
-     * @param {string} roomId ID of the room to join
+     * Tidy a typed room code, so codes can be entered in any case and with spaces
+     * @param {string} value Code as typed
+     * @returns {string} Lowercase code with single hyphens between words
      */
-    function joinRoom(roomId) {
-        if (!initialized || !state.peer) {
-            log('Cannot join room: Connection manager not initialized', 'error');
-            return false;
-        }
+    function normalizeRoomCode(value) {
+        return String(value || '').trim().toLowerCase().replace(/[\s_-]+/g, '-');
+    }
+    
+    /**
+     * Check whether a value is a room code rather than a room ID.
+     * Codes are two to six words of letters and digits; peer IDs are a single word.
+     * @param {string} value Code or ID as typed
+     * @returns {boolean} True if it is a room code
+     */
+    function isRoomCode(value) {
+        const code = normalizeRoomCode(value);
+        return code.length <= 40 && /^[a-z0-9]+(-[a-z0-9]+){1,5}$/.test(code);
+    }
+    
+    /**
+     * Make a random three-word room code
+     * @returns {string} e.g. brave-otter-maple
+     */
+    function generateRoomCode() {
+        const values = crypto.getRandomValues(new Uint32Array(3));
+        return Array.from(values, value => roomCodeWords[value % roomCodeWords.length]).join('-');
+    }
+    
+    /**
+     * Register a room code with the signaling server, so the code leads to our room.
+     * The signaling server refuses an ID that is in use, which is how collisions show up.
+     * @param {string} code Normalized room code
+     * @param {Object} options { generated } if we made the code up and can pick another,
+     *                         { inherited } if a previous host may still hold it,
+     *                         { attempt } for the number of tries so far
+     */
+    function claimRoomCode(code, options = {}) {
+        const attempt = options.attempt || 1;
         
-        if (!roomId) {
-            log('Cannot join room: No room ID provided', 'error');
-            return false;
-        }
+        releaseRoomCode();
         
-        if (roomId === state.userId) {
-            log('Cannot join your own room', 'error');
-            return false;
-        }
+        const transport = window.Transports && window.Transports.getTransport(config.transport);
+        if (!transport || !transport.isAvailable()) return;
         
-        if (state.status === 'connected') {
-            log('Leaving current room before joining a new one');
-            leaveRoom();
+        let endpoint;
+        try {
+            endpoint = transport.listen(roomCodePrefix + code, getEndpointOptions());
+        } catch (error) {
+            log(`Could not register room code: ${error.message}`, 'warning');
+            return;
         }
         
-        log(`Joining room with ID: ${roomId}`);
+        state.codeEndpoint = endpoint;
         
-        // Update state
-        state.roomId = roomId;
-        state.isHost = false;
-        state.connectionAttempts = 0;
+        endpoint.on('open', () => {
+            if (state.codeEndpoint !== endpoint) return;
+            
+            log(`Room code: ${code}`);
+            state.roomCode = code;
+            
+            // Guests keep the code too, so it survives a change of host
+            broadcastToPeers(getPeerListMessage());
+            
+            notifyStateChange();
+        });
         
-        // Add ourselves to the peers list
-        state.peers[state.userId] = {
-            id: state.userId,
+        // Whoever dials the code gets our room ID
+        endpoint.on('connection', connection => {
+            connection.on('open', () => {
+                connection.send({ type: 'room_code', code, roomId: state.roomId });
+                setTimeout(() => connection.close(), 1000);
+            });
+        });
+        
+        endpoint.on('error', error => {
+            if (state.codeEndpoint !== endpoint) return;
+            
+            if (error.type !== 'unavailable-id') {
+                log(`Room code error: ${error.type} - ${error.message}`, 'warning');
+                return;
+            }
+            
+            releaseRoomCode();
+            
+            // The signaling server frees a vanished host's ID once it notices the host is gone
+            if (options.inherited && attempt < config.roomCodeAttempts) {
+                log(`Room code ${code} is still held by the previous host, retrying`);
+                state.codeRetryTimer = setTimeout(() => {
+                    claimRoomCode(code, { inherited: true, attempt: attempt + 1 });
+                }, config.heartbeatInterval);
+                return;
+            }
+            
+            if (options.generated && attempt < config.roomCodeAttempts) {
+                log(`Room code ${code} is taken, trying another`);
+                claimRoomCode(generateRoomCode(), { generated: true, attempt: attempt + 1 });
+                return;
+            }
+            
+            if (!options.generated) {
+                // Keep the room, just under a code nobody else has
+                log(`Room code ${code} is taken`, 'warning');
+                if (window.MentalPlayer && window.MentalPlayer.showNotification) {
+                    window.MentalPlayer.showNotification('Room Code Taken', `Another room is using "${code}", so your room got a new code.`, 'warning');
+                }
+                claimRoomCode(generateRoomCode(), { generated: true });
+                return;
+            }
+            
+            log('Could not find a free room code; the room can still be joined by its ID', 'warning');
+            state.roomCode = '';
+            notifyStateChange();
+        });
+    }
+    
+    /**
+     * Stop answering for our room code
+     */
+    function releaseRoomCode() {
+        clearTimeout(state.codeRetryTimer);
+        state.codeRetryTimer = null;
+        
+        const endpoint = state.codeEndpoint;
+        if (!endpoint) return;
+        
+        state.codeEndpoint = null;
+        endpoint.destroy();
+    }
+    
+    /**
+     * Find the room ID behind a room code
+     * @param {string} code Normalized room code
+     * @returns {Promise<string>} Room ID; rejects if no room answers to the code
+     */
+    function lookupRoomCode(code) {
+        const aliasId = roomCodePrefix + code;
+        const endpoint = state.peer;
+        
+        return new Promise((resolve, reject) => {
+            let connection = null;
+            let timeoutId = null;
+            
+            const finish = (error, roomId) => {
+                clearTimeout(timeoutId);
+                endpoint.off('error', onError);
+                if (connection) {
+                    connection.close();
+                }
+                
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(roomId);
+                }
+            };
+            
+            const onError = error => {
+                if (error.type === 'peer-unavailable' && error.message.includes(aliasId)) {
+                    finish(new Error(`No room has the code ${code}`));
+                }
+            };
+            
+            timeoutId = setTimeout(() => finish(new Error(`Room code ${code} did not answer`)), config.roomCodeLookupTimeout);
+            endpoint.on('error', onError);
+            
+            try {
+                connection = endpoint.connect(aliasId, { reliable: true, serialization: 'json' });
+                connection.on('data', data => {
+                    if (data && data.type === 'room_code' && typeof data.roomId === 'string' && data.roomId) {
+                        finish(null, data.roomId);
+                    }
+                });
+            } catch (error) {
+                finish(error);
+            }
+        });
+    }
+    
+    /**
+     * Join an existing room
+     * @param {string} roomId ID or room code of the room to join; codes are case-insensitive
+     * @param {Object} credentials Optional { password, token } for a private room
+     * @param {Object} options Optional { spectator } to watch without playing
+     */
+    function joinRoom(roomId, credentials = {}, options = {}) {
+        if (!initialized || !state.peer) {
+            log('Cannot join room: Connection manager not initialized', 'error');
+            return false;
+        }
+        
+        if (!roomId) {
+            log('Cannot join room: No room ID provided', 'error');
+            return false;
+        }
+        
+        // A room code first has to be turned into the host's ID
+        if (isRoomCode(roomId)) {
+            const code = normalizeRoomCode(roomId);
+            log(`Looking up room code: ${code}`);
+            updateStatus('connecting', 'Looking up room...');
+            
+            lookupRoomCode(code)
+                .then(hostId => {
+                    // Someone may have started another join or left meanwhile
+                    if (state.status !== 'connecting' || state.roomId) return;
+                    joinRoom(hostId, credentials, options);
+                })
+                .catch(error => {
+                    if (state.status !== 'connecting' || state.roomId) return;
+                    
+                    log(`Room code lookup failed: ${error.message}`, 'error');
+                    updateStatus('error', 'Room not found');
+                    showConnectionError(`No room with the code "${code}" was found. Please check the code and try again.`);
+                });
+            return true;
+        }
+        
+        if (roomId === state.userId) {
+            log('Cannot join your own room', 'error');
+            return false;
+        }
+        
+        if (state.status === 'connected') {
+            log('Leaving current room before joining a new one');
+            leaveRoom();
+        }
+        
+        log(`Joining room with ID: ${roomId}`);
+        
+        // Update state
+        state.roomId = roomId;
+        state.isHost = false;
+        state.connectionAttempts = 0;
+        state.roomAuth = null;
+        state.credentials = {
+            password: credentials.password || '',
+            token: credentials.token || ''
+        };
+        state.spectator = !!options.spectator;
+        
+        // Add ourselves to the peers list
+        state.peers[state.userId] = {
+            id: state.userId,
             name: state.userName,
             isHost: false,
-            color: getColorForUser(state.userId)
+            spectator: state.spectator,
+            color: getSelfColor(),
+            avatar: state.userAvatar,
+            profileId: state.profileId,
+            publicKey: state.publicKey
         };
         
         // Update status
@@ -386,24 +1193,55 @@ const ConnectionManager = (() => {
     function leaveRoom() {
         log('Leaving room');
         
+        // Let the host know this is not a drop, so it doesn't hold our slot
+        if (!state.isHost && state.roomId) {
+            sendToPeer(state.roomId, { type: 'peer_leaving' });
+        }
+        
+        // A voluntary leave should not be resumed later
+        clearSession();
+        clearDepartedPeers();
+        
+        // Reset room state before closing connections so the close
+        // handlers don't mistake a voluntary leave for a host drop
+        const connections = Object.values(state.activeConnections);
+        state.activeConnections = {};
+        state.peers = {};
+        state.roomId = '';
+        state.isHost = false;
+        state.migration = null;
+        state.resuming = false;
+        state.roomSeq = 0;
+        state.lastSeq = 0;
+        state.clockOffset = 0;
+        state.clockSamples = [];
+        state.messageHistory = [];
+        state.spectator = false;
+        state.bannedPeers = {};
+        state.waitingPeers = [];
+        state.roomAuth = null;
+        state.roomAuthReady = null;
+        state.secretHolderId = null;
+        state.formerPeers = null;
+        state.credentials = {};
+        state.roomKey = null;
+        state.awaitRoomKey = null;
+        state.roomCode = '';
+        releaseRoomCode();
+        
         // Close all active connections
-        Object.keys(state.activeConnections).forEach(peerId => {
-            const connection = state.activeConnections[peerId];
+        connections.forEach(connection => {
             if (connection) {
                 connection.close();
             }
         });
         
-        // Clear connections and peers
-        state.activeConnections = {};
-        state.peers = {};
-        
         // Stop heartbeats
         stopHeartbeat();
         
-        // Reset state
-        state.roomId = '';
-        state.isHost = false;
+        // Drop delivery state; pending sends resolve as undelivered
+        Object.keys(state.links).forEach(closeLink);
+        stopRetransmitTimer();
         
         // Update status
         updateStatus('disconnected', 'Left room');
@@ -415,19 +1253,24 @@ const ConnectionManager = (() => {
     /**
      * Connect to a specific peer
      * @param {string} peerId ID of the peer to connect to
+     * @param {boolean} viaRelay Connect through the relay server instead of the main transport
      * @returns {boolean} Success status
      */
-    function connectToPeer(peerId) {
-        if (!state.peer) return false;
+    function connectToPeer(peerId, viaRelay = false) {
+        const endpoint = viaRelay ? state.relay : state.peer;
+        if (!endpoint) return false;
         
         try {
             // Increment connection attempts
             state.connectionAttempts++;
             
             // Create connection
-            const connection = state.peer.connect(peerId, {
+            const connection = endpoint.connect(peerId, {
                 reliable: true,
-                serialization: 'json'
+                // Large messages are packed into base64 text (see packMessage), so JSON works on every transport
+                serialization: 'json',
+                // Lets the host seat us before our peer_info arrives
+                metadata: { spectator: state.spectator }
             });
             
             if (!connection) {
@@ -443,11 +1286,15 @@ const ConnectionManager = (() => {
                     // Try again if under max attempts
                     if (state.connectionAttempts < 3) {
                         log(`Retrying connection to peer ${peerId} (attempt ${state.connectionAttempts + 1}/3)`);
-                        connectToPeer(peerId);
+                        connectToPeer(peerId, viaRelay);
+                    } else if (!viaRelay && state.relay && state.relay.open) {
+                        // WebRTC can't get through (e.g. a strict firewall); go through the relay server instead
+                        log(`Falling back to relay server for peer ${peerId}`, 'warning');
+                        updateStatus('connecting', 'Connecting through relay server...');
+                        state.connectionAttempts = 0;
+                        connectToPeer(peerId, true);
                     } else {
-                        log('Max connection attempts reached', 'error');
-                        updateStatus('error', 'Connection failed');
-                        showConnectionError('Could not connect to the room after multiple attempts. The host may be offline or behind a firewall.');
+                        handleConnectionFailure(peerId);
                     }
                 }
             }, config.connectionTimeout);
@@ -455,12 +1302,16 @@ const ConnectionManager = (() => {
             // Track this offer
             state.pendingOffers[peerId] = {
                 connection,
-                timeoutId
+                timeoutId,
+                viaRelay
             };
             
             // Set up connection event handlers
             setupConnectionEventListeners(connection);
             
+            // The side channel goes the same way as the main connection
+            connection.on('open', () => openEphemeralChannel(peerId, endpoint));
+            
             return true;
         } catch (error) {
             log(`Error connecting to peer ${peerId}: ${error.message}`, 'error');
@@ -470,298 +1321,2420 @@ const ConnectionManager = (() => {
     }
     
     /**
-     * Handle an incoming connection from another peer
-     * @param {Object} connection PeerJS connection object
+     * Let a peer into the room, or put it in the waiting queue if every seat is taken
+     * @param {string} peerId ID of the peer
      */
-    function handleIncomingConnection(connection) {
-        const peerId = connection.peer;
+    function seatPeer(peerId) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
         
-        log(`Processing incoming connection from peer: ${peerId}`);
+        if (!hasFreeSeat(peerId)) {
+            queuePeer(peerId);
+            return;
+        }
         
-        // Set up connection event handlers
-        setupConnectionEventListeners(connection);
+        connection.queued = false;
+        connection.seated = true;
         
-        // When the connection is open, we'll set up the peer in our system
-        connection.on('open', () => {
-            log(`Connection fully established with peer: ${peerId}`);
+        // Now it may use the side channel it opened while waiting
+        if (connection.pendingEphemeral) {
+            const channel = connection.pendingEphemeral;
+            connection.pendingEphemeral = null;
             
-            // Add to active connections
-            state.activeConnections[peerId] = connection;
+            if (channel.open) {
+                setEphemeralChannel(peerId, channel);
+            }
+        }
+        
+        // Handle the introduction we held back during the challenge or the wait
+        if (connection.pendingInfo) {
+            const info = connection.pendingInfo;
+            connection.pendingInfo = null;
+            dispatchPeerMessage(peerId, info);
+        }
+        
+        welcomePeer(peerId);
+    }
+    
+    /**
+     * Get the seat limit of the game the room is playing
+     * @returns {number} Maximum number of players, Infinity if the game sets no limit
+     */
+    function getMaxPlayers() {
+        const activeGame = window.MentalPlayer && window.MentalPlayer.activeGame;
+        const gameId = activeGame && activeGame.id ? activeGame.id : state.gameId;
+        const metadata = window.GameRegistry && gameId ? window.GameRegistry.getGameMetadata(gameId) : null;
+        
+        return metadata && metadata.maxPlayers ? metadata.maxPlayers : Infinity;
+    }
+    
+    /**
+     * Count the players holding a seat, including peers let in whose peer_info hasn't arrived yet.
+     * Spectators don't take a seat.
+     * @returns {number} Number of seated players
+     */
+    function countSeatedPlayers() {
+        const seated = new Set(Object.keys(state.peers).filter(peerId => !isSpectatorPeer(peerId)));
+        
+        Object.keys(state.activeConnections).forEach(peerId => {
+            const connection = state.activeConnections[peerId];
+            if (connection.seated && !isSpectatorConnection(connection)) {
+                seated.add(peerId);
+            }
+        });
+        
+        return seated.size;
+    }
+    
+    /**
+     * Check whether a peer can be let into the room now
+     * @param {string} peerId ID of the peer
+     * @returns {boolean} True if the peer needs no seat or one is free
+     */
+    function hasFreeSeat(peerId) {
+        // Spectators and players coming back to a held slot don't need a new seat
+        if (isSpectatorConnection(state.activeConnections[peerId]) || state.peers[peerId]) {
+            return true;
+        }
+        
+        return countSeatedPlayers() < getMaxPlayers();
+    }
+    
+    /**
+     * Check whether a connection was opened by a spectator
+     * @param {Object} connection Connection object
+     * @returns {boolean} True if the dialing side joined as a spectator
+     */
+    function isSpectatorConnection(connection) {
+        return !!(connection && connection.metadata && connection.metadata.spectator);
+    }
+    
+    /**
+     * Put a peer at the back of the waiting queue
+     * @param {string} peerId ID of the peer
+     */
+    function queuePeer(peerId) {
+        const connection = state.activeConnections[peerId];
+        if (!connection || connection.queued) return;
+        
+        log(`Room is full, ${peerId} is waiting for a seat`);
+        
+        connection.queued = true;
+        state.waitingPeers.push({
+            id: peerId,
+            name: connection.pendingInfo && connection.pendingInfo.userName ? connection.pendingInfo.userName : 'New player'
+        });
+        
+        announceWaitingList();
+    }
+    
+    /**
+     * Take a peer that disconnected out of the waiting queue
+     * @param {string} peerId ID of the peer
+     */
+    function leaveQueue(peerId) {
+        state.waitingPeers = state.waitingPeers.filter(entry => entry.id !== peerId);
+        announceWaitingList();
+    }
+    
+    /**
+     * Seat waiting peers in arrival order while seats are free
+     */
+    function promoteWaitingPeers() {
+        let promoted = false;
+        
+        while (state.waitingPeers.length > 0 && hasFreeSeat(state.waitingPeers[0].id)) {
+            const { id } = state.waitingPeers.shift();
+            if (!state.activeConnections[id]) continue;
             
-            // If we're the host, send a welcome message and current state
-            if (state.isHost) {
-                log(`Sending welcome data to peer: ${peerId}`);
-                
-                // First add ourselves to the peer list if not already there
-                if (!state.peers[state.userId]) {
-                    state.peers[state.userId] = {
-                        id: state.userId,
-                        name: state.userName,
-                        isHost: true,
-                        color: getColorForUser(state.userId)
-                    };
-                }
-                
-                // Send the complete peer list to the new peer
+            log(`Seat freed up, letting ${id} in from the waiting queue`);
+            
+            promoted = true;
+            seatPeer(id);
+        }
+        
+        if (promoted) {
+            announceWaitingList();
+        }
+    }
+    
+    /**
+     * Send the waiting queue to everyone in the room and everyone in the queue
+     */
+    function announceWaitingList() {
+        const message = {
+            type: 'waiting_list',
+            waiting: state.waitingPeers
+        };
+        
+        // Queued peers are skipped by broadcasts, so reach them one by one
+        deliverToPeers(message);
+        state.waitingPeers.forEach(entry => sendToPeer(entry.id, message));
+        
+        notifyStateChange();
+    }
+    
+    /**
+     * Send a newly admitted peer the room's peers and state
+     * @param {string} peerId ID of the new peer
+     */
+    function welcomePeer(peerId) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
+        
+        log(`Sending welcome data to peer: ${peerId}`);
+        
+        // First add ourselves to the peer list if not already there
+        if (!state.peers[state.userId]) {
+            state.peers[state.userId] = {
+                id: state.userId,
+                name: state.userName,
+                isHost: true,
+                color: getSelfColor(),
+                avatar: state.userAvatar,
+                profileId: state.profileId,
+                publicKey: state.publicKey
+            };
+        }
+        
+        // Send the complete peer list to the new peer
+        sendToPeer(peerId, getPeerListMessage());
+        
+        // Notify all other peers about the new connection
+        if (!connection.isResume) {
+            broadcastToPeers({
+                type: 'peer_joined',
+                peerId: peerId,
+                userName: state.peers[peerId] ? state.peers[peerId].name : 'Unknown User'
+            }, [peerId]); // Exclude the new peer from this broadcast
+        }
+        
+        // If we have a current game state, send it after a short delay
+        // to ensure the peer has processed previous messages
+        setTimeout(() => {
+            captureGameState();
+            if (state.gameState) {
+                log(`Sending current game state to peer: ${peerId}`);
                 sendToPeer(peerId, {
-                    type: 'peer_list',
-                    peers: state.peers
+                    type: 'game_state',
+                    gameId: state.gameId,
+                    state: state.gameState
                 });
-                
-                // Notify all other peers about the new connection
-                broadcastToPeers({
-                    type: 'peer_joined',
-                    peerId: peerId,
-                    userName: state.peers[peerId] ? state.peers[peerId].name : 'Unknown User'
-                }, [peerId]); // Exclude the new peer from this broadcast
-                
-                // If we have a current game state, send it after a short delay
-                // to ensure the peer has processed previous messages
-                setTimeout(() => {
-                    if (state.gameState) {
-                        log(`Sending current game state to peer: ${peerId}`);
-                        sendToPeer(peerId, {
-                            type: 'game_state',
-                            state: state.gameState
-                        });
-                    }
-                    
-                    // Also ask the active game to send its state if available
-                    if (window.MentalPlayer && 
-                        window.MentalPlayer.activeGame && 
-                        window.MentalPlayer.activeGame.instance && 
-                        typeof window.MentalPlayer.activeGame.instance.sendGameState === 'function') {
-                        log(`Requesting game module to send state to peer: ${peerId}`);
-                        window.MentalPlayer.activeGame.instance.sendGameState();
-                    }
-                }, 1000); // Short delay for connection stabilization
-                
-                // Add welcome message to chat
-                if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
-                    const peerName = state.peers[peerId] ? state.peers[peerId].name : 'New player';
-                    window.MentalPlayer.addChatMessage('system', '', `${peerName} has joined the room.`);
-                }
             }
             
-            // Start heartbeat for this connection
-            startPeerHeartbeat(peerId);
-        });
+            // Also ask the active game to send its state if available
+            if (window.MentalPlayer && 
+                window.MentalPlayer.activeGame && 
+                window.MentalPlayer.activeGame.instance && 
+                typeof window.MentalPlayer.activeGame.instance.sendGameState === 'function') {
+                log(`Requesting game module to send state to peer: ${peerId}`);
+                window.MentalPlayer.activeGame.instance.sendGameState();
+            }
+        }, 1000); // Short delay for connection stabilization
         
-        // Handle errors specifically for this connection
-        connection.on('error', (err) => {
-            log(`Error with peer ${peerId} connection: ${err.message}`, 'error');
-            // If this is a critical connection (e.g., host for non-host peer), handle accordingly
-            if (!state.isHost && peerId === state.roomId) {
-                updateStatus('error', 'Lost connection to host');
-                // Show notification
-                if (window.MentalPlayer && window.MentalPlayer.showNotification) {
-                    window.MentalPlayer.showNotification(
-                        'Connection Error',
-                        'Lost connection to the game host. You may need to rejoin the room.',
-                        'error'
-                    );
-                }
+        // Add welcome message to chat
+        if (!connection.isResume && window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+            const peerName = state.peers[peerId] ? state.peers[peerId].name : 'New player';
+            window.MentalPlayer.addChatMessage('system', '', `${peerName} has joined the room.`);
+        }
+    }
+    
+    /**
+     * Build the peer list the host keeps every guest up to date with
+     * @returns {Object} peer_list message
+     */
+    function getPeerListMessage() {
+        return {
+            type: 'peer_list',
+            peers: state.peers,
+            roomCode: state.roomCode,
+            successorId: state.secretHolderId || '',
+            // A new guest must not send anything in the clear before its room key arrives
+            encrypted: !!state.roomKey
+        };
+    }
+    
+    /**
+     * Check whether the room we host only admits peers with credentials
+     * @returns {boolean} True if new peers must authenticate
+     */
+    function requiresAuth() {
+        return !!(state.roomAuth && (state.roomAuth.hasPassword || state.roomAuth.inviteOnly));
+    }
+    
+    /**
+     * Challenge a new peer to prove it may join; it stays quarantined until it answers
+     * @param {string} peerId ID of the new peer
+     */
+    function challengePeer(peerId) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
+        
+        connection.pendingAuth = true;
+        connection.authNonce = randomHex(16);
+        connection.authTimer = setTimeout(() => {
+            if (connection.pendingAuth) {
+                rejectPeer(peerId, authErrors.AUTH_TIMEOUT);
             }
+        }, config.authTimeout);
+        
+        log(`Challenging peer ${peerId} for room credentials`);
+        
+        sendToPeer(peerId, {
+            type: 'auth_challenge',
+            nonce: connection.authNonce,
+            password: state.roomAuth.hasPassword
         });
     }
     
     /**
-     * Set up event listeners for a peer connection
-     * @param {Object} connection PeerJS connection object
+     * Check a peer's answer to our challenge and admit or reject it
+     * @param {string} peerId ID of the answering peer
+     * @param {Object} data auth_response message
      */
-    function setupConnectionEventListeners(connection) {
-        const peerId = connection.peer;
+    async function verifyAuth(peerId, data) {
+        const connection = state.activeConnections[peerId];
+        if (!connection || !connection.pendingAuth) return;
         
-        // When the connection is established
-        connection.on('open', () => {
-            log(`Connection opened with peer: ${peerId}`);
+        await state.roomAuthReady;
+        
+        const nonce = connection.authNonce;
+        let code = authErrors.AUTH_REQUIRED;
+        let admitted = false;
+        
+        try {
+            // Members re-joining after a host migration or refresh prove they hold their member key
+            if (data.memberProof && isRoomMember(peerId)) {
+                admitted = data.memberProof === await hmacHex(await memberKeyFor(peerId), nonce);
+            }
+            
+            // Players of the room we took over can also prove they hold the key pair we knew them by,
+            // which works even if the previous host never shared the room secrets with us
+            const formerKey = getFormerPeerKey(peerId);
+            if (!admitted && data.keyProof && formerKey) {
+                admitted = await verifyKeyProof(formerKey, nonce, data.keyProof);
+            }
+            
+            if (!admitted && data.token) {
+                code = await verifyInviteToken(data.token);
+                admitted = code === null;
+            }
+            
+            if (!admitted && data.passwordProof) {
+                admitted = !!state.roomAuth.passwordKey &&
+                    data.passwordProof === await hmacHex(state.roomAuth.passwordKey, nonce);
+                code = authErrors.BAD_PASSWORD;
+            }
+        } catch (error) {
+            log(`Error verifying credentials from ${peerId}: ${error.message}`, 'error');
+        }
+        
+        // The peer may have gone while we were hashing
+        if (state.activeConnections[peerId] !== connection || !connection.pendingAuth) return;
+        
+        if (admitted) {
+            admitPeer(peerId);
+        } else {
+            rejectPeer(peerId, code);
+        }
+    }
+    
+    /**
+     * Let an authenticated peer into the room
+     * @param {string} peerId ID of the peer
+     */
+    function admitPeer(peerId) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
+        
+        log(`Peer ${peerId} authenticated`);
+        
+        connection.pendingAuth = false;
+        clearTimeout(connection.authTimer);
+        
+        sendToPeer(peerId, { type: 'auth_result', ok: true });
+        
+        sendRoomAuth(peerId);
+        
+        seatPeer(peerId);
+    }
+    
+    /**
+     * Derive a member's key from the room secret; it only proves membership for that peer ID
+     * @param {string} peerId ID of the member
+     * @returns {Promise<string>} Hex member key
+     */
+    function memberKeyFor(peerId) {
+        return hmacHex(state.roomAuth.tokenSecret, `member:${peerId}`);
+    }
+    
+    /**
+     * Check whether a connecting peer may get back in with its member key
+     * @param {string} peerId ID of the connecting peer
+     * @returns {boolean} True if the peer is in the room, holds a slot or was in the room we took over
+     */
+    function isRoomMember(peerId) {
+        if (state.peers[peerId]) return true;
+        
+        const former = state.formerPeers;
+        return !!former && former.until > Date.now() && Object.prototype.hasOwnProperty.call(former.keys, peerId);
+    }
+    
+    /**
+     * Look up the public key a player of the room we took over had, while it may still come back
+     * @param {string} peerId ID of the connecting peer
+     * @returns {string|null} Public key (base64), or null if unknown
+     */
+    function getFormerPeerKey(peerId) {
+        return isRoomMember(peerId) && !state.peers[peerId] ? state.formerPeers.keys[peerId] || null : null;
+    }
+    
+    /**
+     * Prove to a host that we hold our key pair, by encrypting its challenge
+     * with the key only the two of us can derive
+     * @param {string} publicKey The host's public key (base64)
+     * @param {string} nonce Challenge nonce
+     * @returns {Promise<string>} Proof (iv.ciphertext, base64)
+     */
+    async function createKeyProof(publicKey, nonce) {
+        const sharedKey = await deriveSharedKey(publicKey);
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sharedKey, new TextEncoder().encode(nonce));
+        
+        return `${bytesToBase64(iv)}.${bytesToBase64(ciphertext)}`;
+    }
+    
+    /**
+     * Check a proof from createKeyProof()
+     * @param {string} publicKey The player's public key (base64)
+     * @param {string} nonce Challenge nonce we sent
+     * @param {string} proof Proof the player answered with
+     * @returns {Promise<boolean>} True if the player holds the matching private key
+     */
+    async function verifyKeyProof(publicKey, nonce, proof) {
+        const [iv, ciphertext] = String(proof).split('.');
+        if (!state.identity || !iv || !ciphertext) return false;
+        
+        try {
+            const sharedKey = await deriveSharedKey(publicKey);
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, sharedKey, base64ToBytes(ciphertext));
+            return new TextDecoder().decode(plaintext) === nonce;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Give a member its key for getting back in, and the room's secrets if it is next in line to host
+     * @param {string} peerId ID of the member
+     * @param {boolean} withSecrets Include tokenSecret and passwordKey
+     */
+    async function sendRoomAuth(peerId, withSecrets = false) {
+        const roomAuth = state.roomAuth;
+        
+        const auth = {
+            hasPassword: roomAuth.hasPassword,
+            inviteOnly: roomAuth.inviteOnly,
+            memberKey: await memberKeyFor(peerId)
+        };
+        
+        if (withSecrets) {
+            await state.roomAuthReady;
+            auth.tokenSecret = roomAuth.tokenSecret;
+            auth.passwordKey = roomAuth.passwordKey;
+        }
+        
+        // The secrets may have been rotated while we were hashing
+        if (state.roomAuth === roomAuth) {
+            sendToPeer(peerId, { type: 'room_auth', auth });
+        }
+    }
+    
+    /**
+     * Keep the room's secrets with the one guest the election would make host,
+     * so a private room stays private if we drop. The election sticks with the
+     * holder while it stays, so the secrets only move (and are replaced) when it goes.
+     * @param {Array<string>} excludePeerIds Players on their way out, who must not get them
+     */
+    function shareRoomSecrets(excludePeerIds = []) {
+        if (!state.isHost || !requiresAuth()) return;
+        
+        const successorId = electHost([state.userId, ...excludePeerIds]);
+        if (successorId === state.secretHolderId) return;
+        
+        // The previous holder keeps what it was given, so make that worthless first
+        if (state.secretHolderId) {
+            rotateRoomSecret(excludePeerIds);
+        }
+        
+        state.secretHolderId = successorId;
+        if (successorId) {
+            sendRoomAuth(successorId, true);
+        }
+        
+        // Guests must all elect the new holder if we drop
+        broadcastToPeers(getPeerListMessage());
+    }
+    
+    /**
+     * Turn a peer away with an error code and close its connection
+     * @param {string} peerId ID of the peer
+     * @param {string} code One of authErrors
+     */
+    function rejectPeer(peerId, code) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
+        
+        log(`Rejecting peer ${peerId}: ${code}`, 'warning');
+        
+        clearTimeout(connection.authTimer);
+        
+        // Not a drop, so don't hold a slot for it
+        connection.leaving = true;
+        
+        sendToPeer(peerId, {
+            type: 'auth_result',
+            ok: false,
+            code
+        });
+        
+        // Give the result a moment to arrive before hanging up
+        setTimeout(() => connection.close(), 500);
+    }
+    
+    /**
+     * Answer the host's challenge with whatever credentials we have
+     * @param {string} peerId ID of the host
+     * @param {Object} data auth_challenge message
+     */
+    async function answerChallenge(peerId, data) {
+        const response = { type: 'auth_response' };
+        
+        try {
+            if (state.roomAuth && state.roomAuth.memberKey) {
+                response.memberProof = await hmacHex(state.roomAuth.memberKey, data.nonce);
+            }
+            
+            // A host that took over the room knows our public key from its peer list
+            const host = state.peers[peerId];
+            if (state.identity && host && host.publicKey) {
+                response.keyProof = await createKeyProof(host.publicKey, data.nonce);
+            }
+            
+            if (state.credentials.token) {
+                response.token = state.credentials.token;
+            }
+            
+            // Ask the user only if nothing else could get us in
+            if (data.password && !state.credentials.password && !response.memberProof && !response.keyProof && !response.token && state.onPasswordRequired) {
+                state.credentials.password = (await state.onPasswordRequired()) || '';
+            }
+            
+            if (data.password && state.credentials.password) {
+                response.passwordProof = await hmacHex(await sha256Hex(state.credentials.password), data.nonce);
+            }
+        } catch (error) {
+            log(`Error preparing credentials: ${error.message}`, 'error');
+        }
+        
+        sendToPeer(peerId, response);
+    }
+    
+    /**
+     * Handle the host turning us away
+     * @param {string} code One of authErrors
+     */
+    function handleAuthRejected(code) {
+        log(`Host rejected us: ${code}`, 'error');
+        
+        // There is no point resuming a room we aren't allowed into
+        state.resuming = false;
+        
+        leaveRoom();
+        updateStatus('error', 'Access denied');
+        showConnectionError(authErrorMessages[code] || 'The host did not let you into the room.');
+    }
+    
+    /**
+     * Create a signed invite token for the room we host
+     * @param {number} ttl Milliseconds until the token expires (defaults to config.inviteTokenTtl)
+     * @returns {Promise<string|null>} Token, or null if we don't host a private room
+     */
+    async function createInviteToken(ttl = config.inviteTokenTtl) {
+        if (!state.isHost || !requiresAuth()) {
+            return null;
+        }
+        
+        const payload = base64UrlEncode(JSON.stringify({ exp: Date.now() + ttl }));
+        const signature = await hmacHex(state.roomAuth.tokenSecret, payload);
+        
+        return `${payload}.${signature}`;
+    }
+    
+    /**
+     * Check an invite token against the room secret
+     * @param {string} token Token from createInviteToken
+     * @returns {Promise<string|null>} null if valid, otherwise one of authErrors
+     */
+    async function verifyInviteToken(token) {
+        const [payload, signature] = String(token).split('.');
+        if (!payload || !signature || signature !== await hmacHex(state.roomAuth.tokenSecret, payload)) {
+            return authErrors.TOKEN_INVALID;
+        }
+        
+        let claims;
+        try {
+            claims = JSON.parse(base64UrlDecode(payload));
+        } catch (error) {
+            return authErrors.TOKEN_INVALID;
+        }
+        
+        if (typeof claims.exp !== 'number' || claims.exp < Date.now()) {
+            return authErrors.TOKEN_EXPIRED;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Generate a random hex string
+     * @param {number} bytes Number of random bytes
+     * @returns {string} Hex string
+     */
+    function randomHex(bytes) {
+        const values = crypto.getRandomValues(new Uint8Array(bytes));
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Hash a string with SHA-256
+     * @param {string} text Text to hash
+     * @returns {Promise<string>} Hex digest
+     */
+    async function sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), value => value.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Sign a string with HMAC-SHA-256
+     * @param {string} key Secret key
+     * @param {string} text Text to sign
+     * @returns {Promise<string>} Hex signature
+     */
+    async function hmacHex(key, text) {
+        const encoder = new TextEncoder();
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(text));
+        return Array.from(new Uint8Array(signature), value => value.toString(16).padStart(2, '0')).join('');
+    }
+    
+    /**
+     * Encode a string as URL-safe base64
+     * @param {string} text Text to encode
+     * @returns {string} Encoded text
+     */
+    function base64UrlEncode(text) {
+        return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    /**
+     * Decode URL-safe base64
+     * @param {string} encoded Encoded text
+     * @returns {string} Decoded text
+     */
+    function base64UrlDecode(encoded) {
+        return atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    }
+    
+    /**
+     * Encode bytes as base64
+     * @param {ArrayBuffer|Uint8Array} bytes Bytes to encode
+     * @returns {string} Base64 text
+     */
+    function bytesToBase64(bytes) {
+        const view = new Uint8Array(bytes);
+        let text = '';
+        for (let i = 0; i < view.length; i++) {
+            text += String.fromCharCode(view[i]);
+        }
+        return btoa(text);
+    }
+    
+    /**
+     * Decode base64 into bytes
+     * @param {string} encoded Base64 text
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function base64ToBytes(encoded) {
+        return Uint8Array.from(atob(encoded), char => char.charCodeAt(0));
+    }
+    
+    /**
+     * Generate the key pair we use to receive room keys in encrypted rooms
+     */
+    async function createIdentity() {
+        if (!window.crypto || !crypto.subtle) {
+            log('WebCrypto not available, end-to-end encryption disabled', 'warning');
+            return;
+        }
+        
+        try {
+            const identity = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveKey']);
+            state.publicKey = bytesToBase64(await crypto.subtle.exportKey('raw', identity.publicKey));
+            state.identity = identity;
+            
+            // Peer entries made before the key was ready should carry it too
+            if (state.peers[state.userId]) {
+                state.peers[state.userId].publicKey = state.publicKey;
+            }
+        } catch (error) {
+            log(`Could not create encryption keys: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Derive the key only we and another player can compute, from their public key
+     * @param {string} publicKey The other player's public key (base64)
+     * @returns {Promise<CryptoKey>} Shared AES-GCM key
+     */
+    async function deriveSharedKey(publicKey) {
+        const theirKey = await crypto.subtle.importKey(
+            'raw',
+            base64ToBytes(publicKey),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'ECDH', public: theirKey },
+            state.identity.privateKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * Send the room key to a player, sealed with the key we share with them
+     * @param {string} peerId ID of the player
+     * @param {string} publicKey The player's public key (base64)
+     */
+    async function shareRoomKey(peerId, publicKey) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
+        
+        connection.keyed = true;
+        
+        try {
+            const sharedKey = await deriveSharedKey(publicKey);
+            const rawKey = await crypto.subtle.exportKey('raw', await state.roomKey);
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const sealedKey = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, sharedKey, rawKey);
+            
+            sendToPeer(peerId, {
+                type: 'room_key',
+                iv: bytesToBase64(iv),
+                key: bytesToBase64(sealedKey)
+            });
+        } catch (error) {
+            log(`Could not share the room key with ${peerId}: ${error.message}`, 'error');
+            rejectPeer(peerId, authErrors.ENCRYPTION_UNSUPPORTED);
+        }
+    }
+    
+    /**
+     * Unseal the room key the host sent us
+     * @param {string} peerId ID of the host
+     * @param {Object} data room_key message
+     * @returns {Promise<CryptoKey|null>} Room key, or null if it couldn't be unsealed
+     */
+    async function receiveRoomKey(peerId, data) {
+        try {
+            const host = state.peers[peerId];
+            if (!state.identity || !host || !host.publicKey) {
+                throw new Error('missing keys');
+            }
+            
+            const sharedKey = await deriveSharedKey(host.publicKey);
+            const rawKey = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(data.iv) }, sharedKey, base64ToBytes(data.key));
+            
+            // Extractable, so we can hand it on if we become host
+            return await crypto.subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+        } catch (error) {
+            log(`Could not unseal the room key from ${peerId}: ${error.message}`, 'error');
+            return null;
+        }
+    }
+    
+    /**
+     * Encrypt a message's content with the room key. The type and link
+     * sequence number stay readable; the type is bound to the ciphertext.
+     * @param {Object} message Message to encrypt
+     * @returns {Promise<Object>} Sealed message
+     */
+    async function sealMessage(message) {
+        const key = await state.roomKey;
+        if (!key) {
+            throw new Error('No room key');
+        }
+        
+        const { type, linkSeq, ...content } = message;
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(type) },
+            key,
+            new TextEncoder().encode(JSON.stringify(content))
+        );
+        
+        const sealed = {
+            type,
+            sealed: {
+                iv: bytesToBase64(iv),
+                data: bytesToBase64(ciphertext)
+            }
+        };
+        
+        if (linkSeq !== undefined) {
+            sealed.linkSeq = linkSeq;
+        }
+        
+        return sealed;
+    }
+    
+    /**
+     * Decrypt a sealed message with the room key
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Sealed message
+     * @returns {Promise<Object|null>} Opened message, or null if it couldn't be decrypted
+     */
+    async function openSealed(peerId, data) {
+        try {
+            const key = state.roomKey && await state.roomKey;
+            if (!key) {
+                throw new Error('no room key yet');
+            }
+            
+            if (typeof data.sealed.iv !== 'string' || typeof data.sealed.data !== 'string') {
+                throw new Error('malformed envelope');
+            }
+            
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: base64ToBytes(data.sealed.iv), additionalData: new TextEncoder().encode(data.type) },
+                key,
+                base64ToBytes(data.sealed.data)
+            );
+            
+            const message = {
+                ...JSON.parse(new TextDecoder().decode(plaintext)),
+                type: data.type
+            };
+            
+            if (data.linkSeq !== undefined) {
+                message.linkSeq = data.linkSeq;
+            }
+            
+            openedMessages.add(message);
+            return message;
+        } catch (error) {
+            log(`Could not decrypt ${data.type} from ${peerId}: ${error.message}`, 'warning');
+            return null;
+        }
+    }
+    
+    /**
+     * Get the verification fingerprint of a player's public key; players read these
+     * to each other to make sure nobody in between swapped the keys
+     * @param {string} peerId Player ID
+     * @returns {string|null} Fingerprint, or null if unknown or still being computed
+     */
+    function getFingerprint(peerId) {
+        const publicKey = peerId === state.userId
+            ? state.publicKey
+            : (state.peers[peerId] && state.peers[peerId].publicKey);
+        if (!publicKey) return null;
+        
+        if (!(publicKey in fingerprints)) {
+            fingerprints[publicKey] = null;
+            
+            sha256Hex(publicKey).then(hex => {
+                fingerprints[publicKey] = hex.slice(0, 20).match(/.{4}/g).join(' ').toUpperCase();
+                notifyStateChange();
+            });
+        }
+        
+        return fingerprints[publicKey];
+    }
+    
+    /**
+     * Give up on reaching a peer after every route has failed
+     * @param {string} peerId ID of the peer we couldn't reach
+     */
+    function handleConnectionFailure(peerId) {
+        if (state.migration) {
+            // The elected host never came up; elect the next candidate
+            state.migration.excluded.push(peerId);
+            migrateHost(state.migration.previousHostId);
+            return;
+        }
+        
+        log('Max connection attempts reached', 'error');
+        updateStatus('error', 'Connection failed');
+        showConnectionError('Could not connect to the room after multiple attempts. The host may be offline or behind a firewall.');
+    }
+    
+    /**
+     * Decide whether to accept a connection another peer opened to us
+     * @param {Object} connection PeerJS connection object
+     */
+    function handleConnectionRequest(connection) {
+        log(`Incoming connection from peer: ${connection.peer}`);
+        
+        // Side channels belong to a connection we already have
+        if (connection.metadata && connection.metadata.channel === 'ephemeral') {
+            acceptEphemeralChannel(connection);
+            return;
+        }
+        
+        // Only accept connections if we're hosting a room
+        if (state.isHost) {
+            handleIncomingConnection(connection);
+        }
+        // In mesh mode, guests of the same room link up directly
+        else if (config.topology === 'mesh' && state.roomId && state.peers[connection.peer] &&
+                 connection.metadata && connection.metadata.roomId === state.roomId) {
+            log(`Accepting mesh connection from peer: ${connection.peer}`);
+            setupConnectionEventListeners(connection);
+        } else {
+            log('Rejecting connection as we are not hosting a room', 'warning');
+            connection.close();
+        }
+    }
+    
+    /**
+     * Handle an incoming connection from another peer
+     * @param {Object} connection PeerJS connection object
+     */
+    function handleIncomingConnection(connection) {
+        const peerId = connection.peer;
+        
+        log(`Processing incoming connection from peer: ${peerId}`);
+        
+        // A peer coming back within the resume window takes its old slot silently
+        connection.isResume = restorePeerSlot(peerId);
+        
+        // Set up connection event handlers
+        setupConnectionEventListeners(connection);
+        
+        // When the connection is open, we'll set up the peer in our system
+        connection.on('open', () => {
+            log(`Connection fully established with peer: ${peerId}`);
+            
+            // Add to active connections
+            state.activeConnections[peerId] = connection;
+            
+            // Private rooms challenge the peer before it sees anything of the room
+            if (state.isHost) {
+                if (state.bannedPeers[peerId]) {
+                    rejectPeer(peerId, authErrors.BANNED);
+                } else if (requiresAuth()) {
+                    challengePeer(peerId);
+                } else {
+                    seatPeer(peerId);
+                }
+            }
+            
+            // Start heartbeat for this connection
+            startPeerHeartbeat(peerId);
+        });
+        
+        // Handle errors specifically for this connection
+        connection.on('error', (err) => {
+            log(`Error with peer ${peerId} connection: ${err.message}`, 'error');
+            // If this is a critical connection (e.g., host for non-host peer), handle accordingly
+            if (!state.isHost && peerId === state.roomId) {
+                updateStatus('error', 'Lost connection to host');
+                // Show notification
+                if (window.MentalPlayer && window.MentalPlayer.showNotification) {
+                    window.MentalPlayer.showNotification(
+                        'Connection Error',
+                        'Lost connection to the game host. You may need to rejoin the room.',
+                        'error'
+                    );
+                }
+            }
+        });
+    }
+    
+    /**
+     * Set up event listeners for a peer connection
+     * @param {Object} connection PeerJS connection object
+     */
+    function setupConnectionEventListeners(connection) {
+        const peerId = connection.peer;
+        
+        // When the connection is established
+        connection.on('open', () => {
+            log(`Connection opened with peer: ${peerId}`);
+            
+            // Sequence numbers start over on every new link
+            openLink(peerId);
+            
+            // Clear timeout if this was from our offer
+            if (state.pendingOffers[peerId]) {
+                clearTimeout(state.pendingOffers[peerId].timeoutId);
+                delete state.pendingOffers[peerId];
+            }
+            
+            // Reaching the elected host completes the migration
+            if (state.migration && peerId === state.roomId) {
+                log(`Host migration complete, new host: ${peerId}`);
+                state.migration = null;
+            }
+            
+            // Add to active connections
+            state.activeConnections[peerId] = connection;
+            
+            // Update status
+            updateStatus('connected', 'Connected to room');
+            
+            // Send our information to the peer
+            sendToPeer(peerId, {
+                type: 'peer_info',
+                userId: state.userId,
+                userName: state.userName,
+                isHost: state.isHost,
+                spectator: state.spectator,
+                color: getSelfColor(),
+                avatar: state.userAvatar,
+                profileId: state.profileId,
+                publicKey: state.publicKey,
+                codecs: getSupportedCodecs(),
+                resume: state.resuming,
+                lastSeq: state.lastSeq
+            });
+            
+            // If we're the host, update internal host information first
+            if (state.isHost && !state.peers[state.userId]) {
+                // Add ourselves to the peer list
+                state.peers[state.userId] = {
+                    id: state.userId,
+                    name: state.userName,
+                    isHost: true,
+                    color: getSelfColor(),
+                    avatar: state.userAvatar,
+                    profileId: state.profileId,
+                    publicKey: state.publicKey
+                };
+                
+                // Notify state change for local UI updates
+                notifyStateChange();
+            }
+            
+            // Start heartbeat for this connection
+            startPeerHeartbeat(peerId);
+            
+            // Notify state change
+            notifyStateChange();
+        });
+        
+        // When data is received
+        connection.on('data', data => {
+            simulateNetwork('receive', () => {
+                if (connection.open) {
+                    handlePeerMessage(peerId, data);
+                }
+            });
+        });
+        
+        // When the connection is closed
+        connection.on('close', () => {
+            log(`Connection closed with peer: ${peerId}`);
+            
+            // A duplicate link that was superseded (e.g. a mesh link replaced by
+            // a host link after migration) closing is not a departure
+            if (state.activeConnections[peerId] && state.activeConnections[peerId] !== connection) {
+                return;
+            }
+            
+            // Remove from active connections
+            delete state.activeConnections[peerId];
+            
+            // Fail anything still waiting on this link
+            closeLink(peerId);
+            closeEphemeralChannel(peerId);
+            if (connection.pendingEphemeral) {
+                connection.pendingEphemeral.close();
+            }
+            
+            // Stop heartbeat for this peer
+            stopPeerHeartbeat(peerId);
+            
+            // A rejoining player starts with full buckets
+            delete state.rateLimiters[peerId];
+            
+            // We hung up on purpose while handing the room to a new host
+            if (connection.retired) {
+                return;
+            }
+            
+            // If our own network dropped, the host is probably still there: rejoin it
+            if (!state.isHost && peerId === state.roomId && isOwnNetworkDown() && loadSession()) {
+                log('Lost connection to host while offline, will resume session');
+                state.resume = loadSession();
+                updateStatus('connecting', 'Connection lost, waiting to resume...');
+            }
+            // If the host dropped and other players remain, elect a new host instead of ending the session
+            else if (!state.isHost && peerId === state.roomId && config.hostMigration && hasRemainingPeers(peerId)) {
+                migrateHost(peerId);
+            }
+            // If we were connected to the host and we're not the host, we've been disconnected from the room
+            else if (!state.isHost && peerId === state.roomId) {
+                updateStatus('disconnected', 'Disconnected from room');
+                
+                // Reset room state
+                state.roomId = '';
+                state.peers = {};
+                
+                // Notify state change
+                notifyStateChange();
+                
+                // Show notification
+                if (window.MentalPlayer && window.MentalPlayer.showNotification) {
+                    window.MentalPlayer.showNotification(
+                        'Disconnected',
+                        'You have been disconnected from the room.',
+                        'warning'
+                    );
+                }
+            } 
+            // If we're the host, hold the slot for a while in case the peer comes back
+            else if (state.isHost) {
+                if (connection.queued) {
+                    leaveQueue(peerId);
+                } else if (connection.leaving || !config.sessionResumeWindow) {
+                    removePeer(peerId);
+                } else {
+                    holdPeerSlot(peerId);
+                }
+            }
+        });
+        
+        // When an error occurs
+        connection.on('error', error => {
+            log(`Connection error with peer ${peerId}: ${error.message}`, 'error');
+            
+            // Handle specific errors
+            if (error.type === 'peer-unavailable' && peerId === state.roomId) {
+                updateStatus('error', 'Peer unavailable');
+                showConnectionError('The specified room could not be found. Please check the Room ID and try again.');
+            } else {
+                updateStatus('error', 'Connection error');
+            }
+        });
+    }
+    
+    /**
+     * Remove a player from the room we host
+     * @param {string} peerId ID of the player
+     * @param {boolean} ban Also refuse the player for the rest of the session
+     * @returns {boolean} True if the player was removed
+     */
+    function kickPeer(peerId, ban = false) {
+        if (!state.isHost || !state.activeConnections[peerId] || peerId === state.userId) {
+            return false;
+        }
+        
+        log(`${ban ? 'Banning' : 'Kicking'} peer ${peerId}`);
+        
+        // Only the peer ID is ours to go by; the profile and keys a peer names are in every
+        // guest's peer list, so banning those would let anyone get someone else banned
+        if (ban) {
+            state.bannedPeers[peerId] = true;
+        }
+        
+        dismissPeer(peerId, ban ? 'ban' : 'kick');
+        
+        // A kicked player may come back, but only the way a new player would. Its member
+        // key stops working once it is out of the room; the same goes for a room we took over
+        if (state.formerPeers) {
+            delete state.formerPeers.keys[peerId];
+        }
+        
+        // A banned one must not get back in on anything it was given
+        if (ban) {
+            rotateRoomSecret([peerId]);
+            shareRoomSecrets([peerId]);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Replace the room secret of the private room we host, so member keys and
+     * invite links handed out so far stop working, and give the players still
+     * in the room new member keys
+     * @param {Array<string>} excludePeerIds Players being removed, who get nothing
+     */
+    function rotateRoomSecret(excludePeerIds = []) {
+        if (!state.isHost || !requiresAuth()) return;
+        
+        log('Rotating the room secret');
+        
+        // A new object, so keys still being derived from the old secret are never sent
+        const roomAuth = state.roomAuth = {
+            ...state.roomAuth,
+            tokenSecret: randomHex(32)
+        };
+        state.roomAuthReady = state.roomAuthReady
+            .then(() => memberKeyFor(state.userId))
+            .then(memberKey => {
+                roomAuth.memberKey = memberKey;
+            });
+        
+        Object.keys(state.peers).forEach(peerId => {
+            if (peerId !== state.userId && !excludePeerIds.includes(peerId) && state.activeConnections[peerId]) {
+                sendRoomAuth(peerId);
+            }
+        });
+        
+        // Whoever held the old secrets holds nothing of use now
+        state.secretHolderId = null;
+        
+        if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+            window.MentalPlayer.addChatMessage('system', '', 'Invite links shared before now no longer work.');
+        }
+    }
+    
+    /**
+     * Tell a player why they are being removed and hang up on them
+     * @param {string} peerId ID of the player
+     * @param {string} action Moderation action the player is told about (kick, ban or flood)
+     */
+    function dismissPeer(peerId, action) {
+        const connection = state.activeConnections[peerId];
+        if (!connection) return;
+        
+        // Not a drop, so don't hold a slot for it
+        connection.leaving = true;
+        
+        sendToPeer(peerId, {
+            type: 'moderation',
+            action
+        });
+        
+        // Give the notice a moment to arrive before hanging up
+        setTimeout(() => connection.close(), 500);
+    }
+    
+    /**
+     * Take a token from a player's bucket for a message type, warning and
+     * eventually disconnecting players who keep sending too fast
+     * @param {string} peerId ID of the sending player
+     * @param {string} type Message type
+     * @param {boolean} warn False to just drop the excess, without warnings or strikes
+     * @returns {boolean} True if the message is within the limit
+     */
+    function checkRateLimit(peerId, type, warn = true) {
+        const key = config.rateLimits[type] ? type : 'default';
+        const limit = config.rateLimits[key];
+        if (!limit) return true;
+        
+        if (!state.rateLimiters[peerId]) {
+            state.rateLimiters[peerId] = { buckets: {}, strikes: [] };
+        }
+        const limiter = state.rateLimiters[peerId];
+        
+        const now = Date.now();
+        let bucket = limiter.buckets[key];
+        if (!bucket) {
+            bucket = limiter.buckets[key] = { tokens: limit.burst, updatedAt: now, throttled: false };
+        }
+        
+        // Refill for the time since the last message
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.rate);
+        bucket.updatedAt = now;
+        
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            bucket.throttled = false;
+            return true;
+        }
+        
+        if (!warn) return false;
+        
+        // Warn once per burst rather than for every dropped message
+        if (!bucket.throttled) {
+            bucket.throttled = true;
+            limiter.strikes = limiter.strikes.filter(time => now - time < config.rateLimitWindow);
+            limiter.strikes.push(now);
+            
+            log(`Throttling ${type} from ${peerId} (warning ${limiter.strikes.length} of ${config.rateLimitStrikes})`, 'warning');
+            
+            if (limiter.strikes.length > config.rateLimitStrikes) {
+                const peerName = state.peers[peerId] ? state.peers[peerId].name : peerId;
+                
+                log(`Disconnecting ${peerId} for flooding`, 'warning');
+                dismissPeer(peerId, 'flood');
+                
+                if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+                    window.MentalPlayer.addChatMessage('system', '', `${peerName} was disconnected for sending too many messages.`);
+                }
+            } else {
+                sendToPeer(peerId, {
+                    type: 'rate_limited',
+                    messageType: type,
+                    retryAfter: Math.ceil((1 - bucket.tokens) / limit.rate * 1000)
+                });
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Remove a player and refuse them for the rest of the session
+     * @param {string} peerId ID of the player
+     * @returns {boolean} True if the player was removed
+     */
+    function banPeer(peerId) {
+        return kickPeer(peerId, true);
+    }
+    
+    /**
+     * Stop or allow chat messages from a player in the room we host
+     * @param {string} peerId ID of the player
+     * @param {boolean} muted True to mute, false to unmute
+     * @returns {boolean} True if the player's mute changed
+     */
+    function mutePeer(peerId, muted = true) {
+        const peer = state.peers[peerId];
+        if (!state.isHost || !peer || peerId === state.userId || !!peer.muted === muted) {
+            return false;
+        }
+        
+        log(`${muted ? 'Muting' : 'Unmuting'} peer ${peerId}`);
+        
+        peer.muted = muted;
+        
+        // Guests learn about the mute through the peer list, so they drop direct chat too
+        broadcastToPeers(getPeerListMessage());
+        
+        if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+            window.MentalPlayer.addChatMessage('system', '', `${peer.name} has been ${muted ? 'muted' : 'unmuted'}.`);
+        }
+        
+        notifyStateChange();
+        
+        return true;
+    }
+    
+    /**
+     * Hand the room we host over to another player, then rejoin as a guest
+     * @param {string} newHostId ID of the player to make host
+     * @returns {Promise<boolean>} True once the handover started, false if it couldn't
+     */
+    async function transferHost(newHostId) {
+        if (!state.isHost || newHostId === state.userId || !state.peers[newHostId] || !state.activeConnections[newHostId]) {
+            return false;
+        }
+        
+        log(`Handing the room over to ${newHostId}`);
+        
+        // The new host rebuilds the game from its replica, so bring every replica up to date
+        replicateGameState();
+        
+        // Only the new host gets the secrets it needs to keep the room private
+        if (requiresAuth()) {
+            if (state.secretHolderId !== newHostId) {
+                rotateRoomSecret();
+            }
+            
+            state.secretHolderId = newHostId;
+            await sendRoomAuth(newHostId, true);
+            
+            // Like any guest, we keep nothing but our own member key
+            await state.roomAuthReady;
+            state.roomAuth = {
+                hasPassword: state.roomAuth.hasPassword,
+                inviteOnly: state.roomAuth.inviteOnly,
+                memberKey: state.roomAuth.memberKey
+            };
+        }
+        
+        await settleDeliveries(deliverToPeers({
+            type: 'host_transfer',
+            newHostId,
+            banned: Object.keys(state.bannedPeers)
+        }));
+        
+        // Guests reconnect to the new host on their own; hang up on all of them quietly
+        Object.values(state.activeConnections).forEach(connection => {
+            connection.retired = true;
+            connection.close();
+        });
+        
+        stopHeartbeat();
+        
+        // Our member key still proves membership to the new host if the room is private
+        migrateHost(state.userId, newHostId);
+        
+        return true;
+    }
+    
+    /**
+     * Handle a moderation action the host took against us
+     * @param {string} action kick, ban or flood
+     */
+    function handleModeration(action) {
+        const messages = {
+            kick: 'The host has removed you from the room.',
+            ban: authErrorMessages.banned,
+            flood: 'You were disconnected for sending too many messages.'
+        };
+        if (!messages[action]) return;
+        
+        log(`Removed from the room by the host (${action})`, 'warning');
+        
+        // Don't come back through session resume
+        state.resuming = false;
+        
+        leaveRoom();
+        updateStatus('disconnected', 'Removed from room');
+        showConnectionError(messages[action]);
+    }
+    
+    /**
+     * Remove a peer from the room and notify the other players
+     * @param {string} peerId ID of the peer that left
+     */
+    function removePeer(peerId) {
+        const peerName = state.peers[peerId] ? state.peers[peerId].name : 'Unknown User';
+        
+        // Remove from peers list
+        delete state.peers[peerId];
+        
+        // Notify other peers
+        broadcastToPeers({
+            type: 'peer_left',
+            peerId: peerId,
+            userName: peerName
+        });
+        
+        // Add system message to chat
+        if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+            window.MentalPlayer.addChatMessage('system', '', `${peerName} has left the room.`);
+        }
+        
+        // Hand the free seat to whoever has waited longest
+        if (state.isHost) {
+            promoteWaitingPeers();
+            shareRoomSecrets();
+        }
+        
+        // Notify state change
+        notifyStateChange();
+    }
+    
+    /**
+     * Keep a dropped peer's slot so it can resume without a leave/join
+     * @param {string} peerId ID of the peer that dropped
+     */
+    function holdPeerSlot(peerId) {
+        if (!state.peers[peerId]) return;
+        
+        log(`Holding slot for peer ${peerId} for ${config.sessionResumeWindow}ms`);
+        
+        state.departedPeers[peerId] = {
+            timer: setTimeout(() => {
+                delete state.departedPeers[peerId];
+                removePeer(peerId);
+            }, config.sessionResumeWindow)
+        };
+    }
+    
+    /**
+     * Give a returning peer back its held slot
+     * @param {string} peerId ID of the connecting peer
+     * @returns {boolean} True if the peer is resuming a held slot
+     */
+    function restorePeerSlot(peerId) {
+        const departed = state.departedPeers[peerId];
+        if (!departed) return false;
+        
+        log(`Peer ${peerId} resumed its session`);
+        clearTimeout(departed.timer);
+        delete state.departedPeers[peerId];
+        
+        return true;
+    }
+    
+    /**
+     * Drop all held slots without announcing them
+     */
+    function clearDepartedPeers() {
+        Object.values(state.departedPeers).forEach(departed => clearTimeout(departed.timer));
+        state.departedPeers = {};
+    }
+    
+    /**
+     * Check whether a lost connection is down to our own network
+     * @returns {boolean} True if we appear to be offline
+     */
+    function isOwnNetworkDown() {
+        return (state.peer && state.peer.disconnected) || navigator.onLine === false;
+    }
+    
+    /**
+     * Open direct connections to the other guests in the room (mesh mode).
+     * Only the peer with the lower ID dials, so each pair gets a single link.
+     */
+    function connectMeshPeers() {
+        if (!state.peer) return;
+        
+        Object.keys(state.peers).forEach(peerId => {
+            if (peerId === state.userId || peerId === state.roomId) return;
+            if (state.activeConnections[peerId] || state.pendingOffers[peerId]) return;
+            if (state.userId > peerId) return;
+            
+            log(`Opening mesh connection to peer: ${peerId}`);
+            
+            try {
+                const connection = state.peer.connect(peerId, {
+                    reliable: true,
+                    serialization: 'json',
+                    metadata: { roomId: state.roomId }
+                });
+                
+                if (connection) {
+                    // Track the dial so repeated peer lists don't open duplicates;
+                    // a link that never opens is simply dropped
+                    state.pendingOffers[peerId] = {
+                        connection,
+                        timeoutId: setTimeout(() => {
+                            delete state.pendingOffers[peerId];
+                        }, config.connectionTimeout)
+                    };
+                    
+                    setupConnectionEventListeners(connection);
+                    connection.on('open', () => openEphemeralChannel(peerId, state.peer));
+                }
+            } catch (error) {
+                log(`Error opening mesh connection to ${peerId}: ${error.message}`, 'warning');
+            }
+        });
+    }
+    
+    /**
+     * Check whether we have a direct link to every other player
+     * @returns {boolean} True if every peer in the room is directly connected
+     */
+    function hasFullMesh() {
+        return Object.keys(state.peers).every(peerId => {
+            const connection = state.activeConnections[peerId];
+            return peerId === state.userId || (connection && connection.open);
+        });
+    }
+    
+    /**
+     * Check whether a message may skip the host in mesh mode.
+     * Chat always can; game data only for actions the game doesn't
+     * list as ordering-sensitive in its registry metadata.
+     * @param {Object} data Message data
+     * @returns {boolean} True if the message can be sent directly
+     */
+    function canSendDirect(data) {
+        if (data.type === 'chat_message') return true;
+        if (data.type !== 'game_data') return false;
+        
+        const metadata = window.GameRegistry && data.gameId ? window.GameRegistry.getGameMetadata(data.gameId) : null;
+        
+        // Without a declaration, treat every action as ordering-sensitive
+        if (!metadata || !Array.isArray(metadata.orderedActions)) return false;
+        
+        const action = data.data && data.data.action;
+        return !metadata.orderedActions.includes(action);
+    }
+    
+    /**
+     * Check whether other players remain after a peer has left
+     * @param {string} departedPeerId ID of the peer that left
+     * @returns {boolean} True if at least one other player is still in the room
+     */
+    function hasRemainingPeers(departedPeerId) {
+        return Object.keys(state.peers).some(id => id !== departedPeerId && id !== state.userId);
+    }
+    
+    /**
+     * Deterministically pick the next host from the known peers.
+     * Every guest holds the same peer list, so sorting the IDs gives all of
+     * them the same answer without any extra coordination. Players are
+     * preferred; a spectator only hosts if no player is left. In a private
+     * room the player the host gave the room secrets to goes first.
+     * @param {Array<string>} excludePeerIds Peer IDs that cannot become host
+     * @returns {string|null} Elected peer ID or null if no candidate remains
+     */
+    function electHost(excludePeerIds = []) {
+        const candidates = Object.keys(state.peers)
+            .filter(peerId => !excludePeerIds.includes(peerId))
+            .sort();
+        const players = candidates.filter(peerId => !isSpectatorPeer(peerId));
+        
+        // The player holding a private room's secrets keeps it private
+        const holderId = state.secretHolderId;
+        if (holderId && candidates.includes(holderId) && (players.includes(holderId) || players.length === 0)) {
+            return holderId;
+        }
+        
+        if (players.length > 0) return players[0];
+        return candidates.length > 0 ? candidates[0] : null;
+    }
+    
+    /**
+     * Check whether a peer joined as a spectator
+     * @param {string} peerId ID of the peer
+     * @returns {boolean} True if the peer only watches
+     */
+    function isSpectatorPeer(peerId) {
+        return !!(state.peers[peerId] && state.peers[peerId].spectator);
+    }
+    
+    /**
+     * Recover the room after the host disconnects or hands it over
+     * @param {string} previousHostId ID of the host that dropped
+     * @param {string} chosenHostId Host picked by the previous host, skipping the election
+     */
+    function migrateHost(previousHostId, chosenHostId = null) {
+        if (!state.migration) {
+            state.migration = {
+                previousHostId,
+                excluded: [previousHostId]
+            };
+        }
+        
+        // Forget every candidate that has already failed us
+        state.migration.excluded.forEach(peerId => {
+            if (peerId !== state.userId) {
+                delete state.peers[peerId];
+            }
+        });
+        
+        const newHostId = chosenHostId || electHost(state.migration.excluded);
+        
+        if (!newHostId) {
+            log('Host migration failed: no candidates left', 'error');
+            state.migration = null;
+            state.roomId = '';
+            state.peers = {};
+            updateStatus('disconnected', 'Disconnected from room');
+            return;
+        }
+        
+        log(`Host ${previousHostId} left, elected new host: ${newHostId}`);
+        
+        if (newHostId === state.userId) {
+            becomeHost(chosenHostId ? 'The host handed the room over to you.' : 'The host left. You are now the host.');
+            emit('hostChanged', { hostId: newHostId, previousHostId, isHost: true });
+            return;
+        }
+        
+        // The room ID is the host's peer ID, so it follows the new host; the code stays with the room
+        state.roomId = newHostId;
+        state.isHost = false;
+        releaseRoomCode();
+        state.connectionAttempts = 0;
+        state.waitingPeers = [];
+        state.clockSamples = [];
+        
+        emit('hostChanged', { hostId: newHostId, previousHostId, isHost: false });
+        
+        if (state.peers[newHostId]) {
+            state.peers[newHostId].isHost = true;
+        }
+        
+        updateStatus('connecting', chosenHostId ? 'Host changed, reconnecting to new host...' : 'Host left, reconnecting to new host...');
+        
+        if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+            const hostName = state.peers[newHostId] ? state.peers[newHostId].name : 'Another player';
+            window.MentalPlayer.addChatMessage('system', '', chosenHostId ? `${hostName} is now the host.` : `The host left. ${hostName} is now the host.`);
+        }
+        
+        // Give the new host a moment to notice the drop and start accepting connections
+        setTimeout(() => {
+            if (state.migration && state.roomId === newHostId) {
+                connectToPeer(newHostId);
+            }
+        }, config.hostMigrationDelay);
+    }
+    
+    /**
+     * Take over as host after winning a host election or being handed the room
+     * @param {string} message System chat message announcing the change
+     */
+    function becomeHost(message = 'The host left. You are now the host.') {
+        log('Elected as the new host');
+        
+        // The old host's players may come back with their member or public keys while they reconnect, the old host included
+        const formerKeys = {};
+        (state.migration ? state.migration.excluded : []).concat(Object.keys(state.peers)).forEach(peerId => {
+            if (peerId !== state.userId) {
+                formerKeys[peerId] = state.peers[peerId] ? state.peers[peerId].publicKey || null : null;
+            }
+        });
+        
+        state.migration = null;
+        state.isHost = true;
+        state.roomId = state.userId;
+        
+        // Continue the room's message sequence where the old host left off
+        state.roomSeq = state.lastSeq;
+        
+        // Anyone queued with the old host lost their place along with their connection
+        state.waitingPeers = [];
+        
+        state.formerPeers = {
+            keys: formerKeys,
+            until: Date.now() + config.sessionResumeWindow
+        };
+        state.secretHolderId = null;
+        
+        // Without the old host's secrets we can't check invites, passwords or member keys, so start
+        // the room's access over; players already in the room get back in with their key pairs
+        const lostSecrets = !!state.roomAuth && !state.roomAuth.tokenSecret;
+        if (lostSecrets) {
+            log('The previous host never shared the room secrets with us; existing invites and the password stop working', 'warning');
+            state.roomAuth = {
+                hasPassword: false,
+                passwordKey: null,
+                inviteOnly: true,
+                tokenSecret: randomHex(32)
+            };
+            state.roomAuthReady = memberKeyFor(state.userId).then(memberKey => {
+                state.roomAuth.memberKey = memberKey;
+            });
+        } else {
+            state.roomAuthReady = Promise.resolve();
+        }
+        
+        // Keep our last offset so the room clock carries on where the old host left it
+        state.clockSamples = [];
+        
+        // Remaining players re-register through peer_info when they reconnect
+        state.peers = {
+            [state.userId]: {
+                id: state.userId,
+                name: state.userName,
+                isHost: true,
+                spectator: state.spectator,
+                color: getSelfColor(),
+                avatar: state.userAvatar,
+                profileId: state.profileId,
+                publicKey: state.publicKey
+            }
+        };
+        
+        // Rebuild the room from the last replicated game state
+        restoreGameState();
+        
+        startHeartbeat();
+        
+        // Keep the code players know the room by, once the old host's claim on it lapses
+        if (state.roomCode) {
+            claimRoomCode(state.roomCode, { inherited: true });
+        } else {
+            claimRoomCode(generateRoomCode(), { generated: true });
+        }
+        
+        updateStatus('connected', 'You are now the host');
+        
+        if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+            window.MentalPlayer.addChatMessage('system', '', message);
+            
+            if (lostSecrets) {
+                window.MentalPlayer.addChatMessage('system', '', 'The room password and invite links shared before now no longer work. Players already in the room can rejoin; send new invites to anyone else.');
+            }
+        }
+        
+        notifyStateChange();
+    }
+    
+    /**
+     * Snapshot the active game into the shared game state
+     * @returns {boolean} True if a snapshot was taken
+     */
+    function captureGameState() {
+        const activeGame = window.MentalPlayer && window.MentalPlayer.activeGame;
+        if (!activeGame || !activeGame.instance || typeof activeGame.instance.getState !== 'function') {
+            return false;
+        }
+        
+        state.gameState = activeGame.instance.getState();
+        state.gameId = activeGame.id;
+        return true;
+    }
+    
+    /**
+     * Snapshot the active game and send it to all guests
+     */
+    function replicateGameState() {
+        if (!captureGameState()) return;
+        
+        broadcastToPeers({
+            type: 'game_state',
+            gameId: state.gameId,
+            state: state.gameState
+        });
+    }
+    
+    /**
+     * Apply the replicated game state to the active game
+     */
+    function restoreGameState() {
+        const activeGame = window.MentalPlayer && window.MentalPlayer.activeGame;
+        if (!state.gameState || !activeGame || !activeGame.instance) {
+            return;
+        }
+        
+        // Don't apply a snapshot taken from a different game
+        if (state.gameId && state.gameId !== activeGame.id) {
+            log(`Skipping game state restore: snapshot is for ${state.gameId}`, 'warning');
+            return;
+        }
+        
+        if (typeof activeGame.instance.setState === 'function') {
+            log('Restoring game state from replica');
+            activeGame.instance.setState(state.gameState);
+        }
+    }
+    
+    /**
+     * Load the saved session token if it is still fresh
+     * @returns {Object|null} Session token or null if none is usable
+     */
+    function loadSession() {
+        if (!window.sessionStorage) return null;
+        
+        try {
+            const session = JSON.parse(sessionStorage.getItem('mentalplayer_session'));
+            if (!session || !session.userId || !session.roomId) {
+                return null;
+            }
+            
+            if (Date.now() - session.timestamp > config.sessionMaxAge) {
+                clearSession();
+                return null;
+            }
+            
+            return session;
+        } catch (error) {
+            log(`Error reading saved session: ${error.message}`, 'warning');
+            return null;
+        }
+    }
+    
+    /**
+     * Persist a session token so a refresh can rejoin the same room
+     */
+    function saveSession() {
+        if (!window.sessionStorage || !state.roomId || state.status !== 'connected') return;
+        
+        const activeGame = window.MentalPlayer && window.MentalPlayer.activeGame;
+        
+        sessionStorage.setItem('mentalplayer_session', JSON.stringify({
+            userId: state.userId,
+            userName: state.userName,
+            roomId: state.roomId,
+            isHost: state.isHost,
+            spectator: state.spectator,
+            gameId: activeGame && activeGame.id ? activeGame.id : state.gameId,
+            lastSeq: state.lastSeq,
+            peerIds: Object.keys(state.peers),
+            // Only our own key; the room's secrets stay in memory
+            memberKey: state.roomAuth ? state.roomAuth.memberKey || '' : '',
+            timestamp: Date.now()
+        }));
+    }
+    
+    /**
+     * Remove the saved session token
+     */
+    function clearSession() {
+        if (window.sessionStorage) {
+            sessionStorage.removeItem('mentalplayer_session');
+        }
+    }
+    
+    /**
+     * Rejoin the room recorded in the saved session
+     */
+    function resumeSession() {
+        const session = state.resume;
+        state.resume = null;
+        if (!session) return;
+        
+        let roomId = session.roomId;
+        
+        // If we were the host, the others will have elected a successor
+        // by the same rule as electHost(), so rejoin that peer instead
+        if (session.isHost) {
+            roomId = (session.peerIds || []).filter(id => id !== state.userId).sort()[0];
             
-            // Clear timeout if this was from our offer
-            if (state.pendingOffers[peerId]) {
-                clearTimeout(state.pendingOffers[peerId].timeoutId);
-                delete state.pendingOffers[peerId];
+            if (!roomId) {
+                log('Nobody left to resume the session with');
+                clearSession();
+                updateStatus('initialized', 'Ready to connect');
+                return;
             }
-            
-            // Add to active connections
-            state.activeConnections[peerId] = connection;
-            
-            // Update status
-            updateStatus('connected', 'Connected to room');
-            
-            // Send our information to the peer
-            sendToPeer(peerId, {
-                type: 'peer_info',
-                userId: state.userId,
-                userName: state.userName,
-                isHost: state.isHost,
-                color: getColorForUser(state.userId)
-            });
-            
-            // If we're the host, update internal host information first
-            if (state.isHost && !state.peers[state.userId]) {
-                // Add ourselves to the peer list
-                state.peers[state.userId] = {
-                    id: state.userId,
-                    name: state.userName,
-                    isHost: true,
-                    color: getColorForUser(state.userId)
-                };
-                
-                // Notify state change for local UI updates
-                notifyStateChange();
+        }
+        
+        log(`Resuming session in room ${roomId}`);
+        
+        // Make sure the game we were playing is loaded before its state arrives
+        if (session.gameId && window.MentalPlayer && window.MentalPlayer.loadGame) {
+            const activeGame = window.MentalPlayer.activeGame;
+            if (!activeGame || activeGame.id !== session.gameId) {
+                window.MentalPlayer.loadGame(session.gameId);
             }
+        }
+        
+        if (joinRoom(roomId, {}, { spectator: session.spectator })) {
+            state.resuming = true;
+            state.lastSeq = session.lastSeq || 0;
             
-            // If we're the host, send the current peer list to the new peer
-            if (state.isHost) {
-                // Send the complete peer list after a short delay
-                // to ensure the peer's peer_info is processed first
-                setTimeout(() => {
-                    sendToPeer(peerId, {
-                        type: 'peer_list',
-                        peers: state.peers
-                    });
-                    
-                    // Notify all peers about the new connection
-                    broadcastToPeers({
-                        type: 'peer_joined',
-                        peerId: peerId,
-                        userName: state.peers[peerId] ? state.peers[peerId].name : 'Unknown User'
-                    }, [peerId]); // Exclude the new peer from this broadcast
-                    
-                    // Send current game state if available
-                    if (state.gameState) {
-                        sendToPeer(peerId, {
-                            type: 'game_state',
-                            state: state.gameState
-                        });
-                    }
-                    
-                    // Request the active game to send its state
-                    if (window.MentalPlayer && 
-                        window.MentalPlayer.activeGame && 
-                        window.MentalPlayer.activeGame.instance && 
-                        typeof window.MentalPlayer.activeGame.instance.sendGameState === 'function') {
-                        window.MentalPlayer.activeGame.instance.sendGameState();
-                    }
-                }, 500); // Short delay
+            // Lets us answer a private room's challenge as an existing member
+            state.roomAuth = session.memberKey ? { memberKey: session.memberKey } : null;
+        }
+    }
+    
+    /**
+     * Stamp a room message with the next sequence number (host only)
+     * @param {Object} message Message to stamp
+     * @returns {Object} Stamped message
+     */
+    function stampRoomMessage(message) {
+        const stamped = {
+            ...message,
+            seq: ++state.roomSeq
+        };
+        
+        recordRoomMessage(stamped);
+        return stamped;
+    }
+    
+    /**
+     * Track the latest room sequence number and keep chat for replay
+     * @param {Object} message Stamped room message
+     */
+    function recordRoomMessage(message) {
+        if (message.seq > state.lastSeq) {
+            state.lastSeq = message.seq;
+        }
+        
+        if (message.type === 'chat_message') {
+            state.messageHistory.push(message);
+            if (state.messageHistory.length > config.messageHistorySize) {
+                state.messageHistory.shift();
             }
+        }
+        
+        saveSession();
+    }
+    
+    /**
+     * Resend chat messages a resuming peer missed while away
+     * @param {string} peerId ID of the resuming peer
+     * @param {number} lastSeq Last sequence number the peer saw
+     */
+    function replayMissedMessages(peerId, lastSeq) {
+        const missed = state.messageHistory.filter(message => message.seq > lastSeq && message.senderId !== peerId);
+        
+        log(`Replaying ${missed.length} missed messages to peer ${peerId}`);
+        missed.forEach(message => sendToPeer(peerId, message));
+    }
+    
+    /**
+     * Reset ordered delivery state for a freshly opened link
+     * @param {string} peerId ID of the peer
+     */
+    function openLink(peerId) {
+        closeLink(peerId);
+        
+        state.links[peerId] = {
+            nextSeq: 1,      // Sequence number for our next message
+            unacked: {},     // Sent messages awaiting acknowledgment by sequence number
+            expectedSeq: 1,  // Next sequence number we can deliver
+            buffer: {}       // Out-of-order messages waiting for a gap to fill
+        };
+    }
+    
+    /**
+     * Drop ordered delivery state for a link, failing anything still pending
+     * @param {string} peerId ID of the peer
+     */
+    function closeLink(peerId) {
+        const link = state.links[peerId];
+        if (!link) return;
+        
+        Object.values(link.unacked).forEach(entry => entry.resolve(false));
+        delete state.links[peerId];
+    }
+    
+    /**
+     * Acknowledge a sequenced message and deliver it in order
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Sequenced message
+     */
+    function receiveOnLink(peerId, data) {
+        const link = state.links[peerId];
+        
+        // Not tracking this link (e.g. it closed meanwhile); handle as-is
+        if (!link) {
+            dispatchPeerMessage(peerId, data);
+            return;
+        }
+        
+        // Messages we acknowledge but throw away (e.g. over the rate limit), so
+        // the sender doesn't count them as delivered
+        const rejected = [];
+        const deliver = message => {
+            if (dispatchPeerMessage(peerId, message) === false) {
+                rejected.push(message.linkSeq);
+            }
+        };
+        
+        if (data.linkSeq < link.expectedSeq) {
+            // Duplicate from a retransmit; our ack must have been lost
+            log(`Dropping duplicate message ${data.linkSeq} from ${peerId}`, 'debug');
+        } else if (data.linkSeq > link.expectedSeq + config.linkWindow) {
+            // Too far ahead to hold on to; the sender resends it once the gap is filled
+            log(`Dropping message ${data.linkSeq} from ${peerId}: too far past ${link.expectedSeq}`, 'warning');
+        } else if (data.linkSeq > link.expectedSeq) {
+            // Gap: hold on to it until the missing messages arrive, if it is worth holding
+            log(`Gap from ${peerId}: expected ${link.expectedSeq}, got ${data.linkSeq}`, 'warning');
+            if (validatePeerMessage(peerId, data)) {
+                link.buffer[data.linkSeq] = data;
+            }
+        } else {
+            deliver(data);
+            link.expectedSeq++;
             
-            // Start heartbeat for this connection
-            startPeerHeartbeat(peerId);
-            
-            // Notify state change
-            notifyStateChange();
-        });
+            // Deliver anything that was waiting on this message
+            while (link.buffer[link.expectedSeq] && state.links[peerId] === link) {
+                const next = link.buffer[link.expectedSeq];
+                delete link.buffer[link.expectedSeq];
+                deliver(next);
+                link.expectedSeq++;
+            }
+        }
         
-        // When data is received
-        connection.on('data', data => {
-            handlePeerMessage(peerId, data);
+        // Cumulative ack; flag a gap so the sender resends right away
+        const ack = {
+            type: 'ack',
+            linkSeq: link.expectedSeq - 1,
+            gap: Object.keys(link.buffer).length > 0
+        };
+        if (rejected.length > 0) {
+            ack.rejected = rejected;
+        }
+        sendToPeer(peerId, ack);
+    }
+    
+    /**
+     * Resolve messages confirmed by a peer's acknowledgment
+     * @param {string} peerId ID of the acknowledging peer
+     * @param {Object} data Ack message
+     */
+    function handleAck(peerId, data) {
+        const link = state.links[peerId];
+        if (!link) return;
+        
+        const rejected = Array.isArray(data.rejected) ? data.rejected : [];
+        
+        Object.keys(link.unacked).forEach(seq => {
+            if (Number(seq) <= data.linkSeq) {
+                link.unacked[seq].resolve(!rejected.includes(Number(seq)));
+                delete link.unacked[seq];
+            }
         });
         
-        // When the connection is closed
-        connection.on('close', () => {
-            log(`Connection closed with peer: ${peerId}`);
-            
-            // Remove from active connections
-            delete state.activeConnections[peerId];
+        // The peer is missing the message right after the acked one. Every ack after
+        // a gap says so, so skip the resend while the last copy may still be on its way
+        const missing = link.unacked[data.linkSeq + 1];
+        if (data.gap && missing) {
+            const stats = state.linkStats[peerId];
+            const roundTrip = stats && stats.rtt !== null ? stats.rtt * 2 : config.ackTimeout / 4;
             
-            // Stop heartbeat for this peer
-            stopPeerHeartbeat(peerId);
+            if (Date.now() - missing.sentAt >= roundTrip) {
+                retransmit(peerId, data.linkSeq + 1);
+            }
+        }
+    }
+    
+    /**
+     * Resend a message that has not been acknowledged
+     * @param {string} peerId ID of the receiving peer
+     * @param {number} seq Sequence number of the message
+     */
+    function retransmit(peerId, seq) {
+        const link = state.links[peerId];
+        const entry = link && link.unacked[seq];
+        const connection = state.activeConnections[peerId];
+        if (!entry || !connection || !connection.open) return;
+        
+        if (entry.attempts >= config.maxRetransmits) {
+            // The receiver can't deliver anything past a lost message, so the link is no use
+            log(`Message ${seq} to ${peerId} was never acknowledged, closing link`, 'error');
+            connection.close();
+            return;
+        }
+        
+        entry.attempts++;
+        entry.sentAt = Date.now();
+        
+        try {
+            transmit(connection, entry.message);
+        } catch (error) {
+            log(`Error resending to peer ${peerId}: ${error.message}`, 'error');
+        }
+    }
+    
+    /**
+     * Start the timer that resends unacknowledged messages
+     */
+    function startRetransmitTimer() {
+        if (state.retransmitTimer) return;
+        
+        state.retransmitTimer = setInterval(() => {
+            const now = Date.now();
             
-            // If we were connected to the host and we're not the host, we've been disconnected from the room
-            if (!state.isHost && peerId === state.roomId) {
-                updateStatus('disconnected', 'Disconnected from room');
-                
-                // Reset room state
-                state.roomId = '';
-                state.peers = {};
-                
-                // Notify state change
-                notifyStateChange();
-                
-                // Show notification
-                if (window.MentalPlayer && window.MentalPlayer.showNotification) {
-                    window.MentalPlayer.showNotification(
-                        'Disconnected',
-                        'You have been disconnected from the room.',
-                        'warning'
-                    );
-                }
-            } 
-            // If we're the host, notify other peers about this disconnection
-            else if (state.isHost) {
-                const peerName = state.peers[peerId] ? state.peers[peerId].name : 'Unknown User';
-                
-                // Remove from peers list
-                delete state.peers[peerId];
-                
-                // Notify other peers
-                broadcastToPeers({
-                    type: 'peer_left',
-                    peerId: peerId,
-                    userName: peerName
+            Object.keys(state.links).forEach(peerId => {
+                const link = state.links[peerId];
+                Object.keys(link.unacked).forEach(seq => {
+                    if (now - link.unacked[seq].sentAt >= config.ackTimeout) {
+                        retransmit(peerId, Number(seq));
+                    }
                 });
-                
-                // Add system message to chat
-                if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
-                    window.MentalPlayer.addChatMessage('system', '', `${peerName} has left the room.`);
+            });
+        }, config.ackTimeout / 2);
+    }
+    
+    /**
+     * Stop the retransmit timer
+     */
+    function stopRetransmitTimer() {
+        if (state.retransmitTimer) {
+            clearInterval(state.retransmitTimer);
+            state.retransmitTimer = null;
+        }
+    }
+    
+    /**
+     * Handle a message from a peer
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Message data
+     */
+    function handlePeerMessage(peerId, data) {
+        if (!data || !data.type) return;
+        
+        // Encrypted payloads are opened first; anything that fails to open goes
+        // unacknowledged, so the sender retries (e.g. once our room key arrives)
+        if (data.sealed) {
+            openSealed(peerId, data).then(message => {
+                if (message) {
+                    handlePeerMessage(peerId, message);
                 }
+            });
+            return;
+        }
+        
+        // Same for messages in the binary codec. Inflating one can take up to maxUnpackedSize,
+        // so the host charges the sender's rate limit first; a dropped one still takes its place
+        // on the link, so it is acknowledged as rejected
+        if (data.packed) {
+            if (state.isHost && !controlTypes.includes(data.type) && !checkRateLimit(peerId, data.type)) {
+                const dropped = { type: data.type };
+                rateChecked.set(dropped, false);
                 
-                // Notify state change
-                notifyStateChange();
+                if (Number.isInteger(data.linkSeq)) {
+                    dropped.linkSeq = data.linkSeq;
+                    receiveOnLink(peerId, dropped);
+                }
+                return;
             }
-        });
+            
+            unpackMessage(peerId, data).then(message => {
+                if (message) {
+                    rateChecked.set(message, true);
+                    handlePeerMessage(peerId, message);
+                }
+            });
+            return;
+        }
         
-        // When an error occurs
-        connection.on('error', error => {
-            log(`Connection error with peer ${peerId}: ${error.message}`, 'error');
+        // Acks only feed the delivery layer
+        if (data.type === 'ack') {
+            if (validatePeerMessage(peerId, data)) {
+                handleAck(peerId, data);
+            }
+            return;
+        }
+        
+        // Sequenced messages are acknowledged and put back in order first
+        if (Number.isInteger(data.linkSeq)) {
+            receiveOnLink(peerId, data);
+            return;
+        }
+        
+        dispatchPeerMessage(peerId, data);
+    }
+    
+    /**
+     * Check a peer message against its schema and make sure host-only
+     * messages really come from the host
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Message data
+     * @returns {boolean} True if the message may be handled
+     */
+    function validatePeerMessage(peerId, data) {
+        if (!window.MessageSchemas) return true;
+        
+        const result = MessageSchemas.validate(data);
+        if (!result.valid) {
+            log(`Dropping malformed ${data.type} from ${peerId}: ${result.error}`, 'warning');
+            return false;
+        }
+        
+        // In an encrypted room, plaintext room content can only come from someone outside it
+        if (state.roomKey && sealedTypes.includes(data.type) && !openedMessages.has(data)) {
+            log(`Dropping unencrypted ${data.type} from ${peerId}`, 'warning');
+            return false;
+        }
+        
+        // Guests could otherwise rewrite everyone's peer list or kick each other
+        if (MessageSchemas.isHostOnly(data.type) && (state.isHost || peerId !== state.roomId)) {
+            log(`Dropping ${data.type} from ${peerId}: only the host may send it`, 'warning');
+            return false;
+        }
+        
+        // Games describe their own actions
+        if (data.type === 'game_data') {
+            const metadata = window.GameRegistry && GameRegistry.isGameRegistered(data.gameId) ? GameRegistry.getGameMetadata(data.gameId) : null;
+            const actionSchemas = metadata && metadata.messageSchemas;
             
-            // Handle specific errors
-            if (error.type === 'peer-unavailable') {
-                updateStatus('error', 'Peer unavailable');
-                showConnectionError('The specified room could not be found. Please check the Room ID and try again.');
-            } else {
-                updateStatus('error', 'Connection error');
+            if (actionSchemas) {
+                const action = data.data.action;
+                const fields = typeof action === 'string' && Object.prototype.hasOwnProperty.call(actionSchemas, action) ? actionSchemas[action] : null;
+                const actionResult = fields ? MessageSchemas.validateFields(data.data, fields) : { valid: false, error: `unknown action '${action}'` };
+                
+                if (!actionResult.valid) {
+                    log(`Dropping malformed ${data.gameId} data from ${peerId}: ${actionResult.error}`, 'warning');
+                    return false;
+                }
             }
-        });
+        }
+        
+        return true;
     }
     
     /**
-     * Handle a message from a peer
+     * Work out who a message is from. Only the host's relay may speak for another
+     * player; the host and guests reached directly in mesh mode speak for themselves.
+     * @param {string} peerId ID of the peer the message arrived from
+     * @param {Object} data Message data
+     * @returns {string} ID of the player the message is from
+     */
+    function getSenderId(peerId, data) {
+        if (!state.isHost && peerId === state.roomId && data.senderId) {
+            return data.senderId;
+        }
+        
+        return peerId;
+    }
+    
+    /**
+     * Act on a message from a peer once it is in order
      * @param {string} peerId ID of the sending peer
      * @param {Object} data Message data
+     * @returns {boolean} False if the message was discarded, so its sender can be told
      */
-    function handlePeerMessage(peerId, data) {
-        if (!data || !data.type) return;
+    function dispatchPeerMessage(peerId, data) {
+        // Skip logging heartbeat messages to avoid noise
+        if (!controlTypes.includes(data.type)) {
+            logDebugMessage('RECEIVED', data.type, data);
+        }
+        
+        // Already over the rate limit before it was unpacked
+        if (rateChecked.get(data) === false) return false;
+        
+        // Malformed or forged messages never reach the handlers below
+        if (!validatePeerMessage(peerId, data)) return false;
+        
+        // The host relays to everyone, so one flooding player would swamp the whole room
+        if (state.isHost && !controlTypes.includes(data.type) && !rateChecked.has(data) && !checkRateLimit(peerId, data.type)) return false;
+        
+        // Liveness covers every link, so players waiting for a seat or to be let in aren't dropped meanwhile
+        if (data.type === 'heartbeat' || data.type === 'heartbeat_ack') {
+            handleHeartbeat(peerId, data);
+            return;
+        }
+        
+        // Learn how to encode for this peer, even while its introduction is held back below
+        const connection = state.activeConnections[peerId];
+        if (data.type === 'peer_info' && connection) {
+            negotiateCodecs(connection, data.codecs);
+        }
         
-        // Skip logging heartbeat messages to avoid noise
-        if (data.type !== 'heartbeat' && data.type !== 'heartbeat_ack') {
-            logDebugMessage('RECEIVED', data.type, data);
+        // Until a new peer answers our challenge or gets a seat, only its answer
+        // and introduction get through
+        if (state.isHost && connection && (connection.pendingAuth || connection.queued)) {
+            if (data.type === 'auth_response' && connection.pendingAuth) {
+                verifyAuth(peerId, data);
+                return true;
+            } else if (data.type === 'peer_info') {
+                connection.pendingInfo = data;
+                
+                // Show the real name in the waiting list
+                const waiting = state.waitingPeers.find(entry => entry.id === peerId);
+                if (waiting && data.userName) {
+                    waiting.name = data.userName;
+                    announceWaitingList();
+                }
+                return true;
+            }
+            return false;
+        }
+        
+        // Remember how far we've read for session resume
+        if (typeof data.seq === 'number') {
+            recordRoomMessage(data);
         }
         
         switch (data.type) {
             case 'peer_info':
+                // Everyone in an encrypted room needs a key to receive the room key with
+                if (state.isHost && state.roomKey && connection && !connection.keyed) {
+                    if (!data.publicKey) {
+                        rejectPeer(peerId, authErrors.ENCRYPTION_UNSUPPORTED);
+                        return;
+                    }
+                    
+                    shareRoomKey(peerId, data.publicKey);
+                }
+                
                 // Store peer information but prevent duplicates if it's the host
                 if (peerId !== state.userId) {
+                    const isNewPeer = !state.peers[peerId];
+                    
                     // Only update for non-self peers
                     state.peers[peerId] = {
                         id: peerId,
                         name: data.userName || 'Unknown User',
                         isHost: data.isHost || false,
-                        color: data.color || getColorForUser(peerId)
+                        color: data.color || getColorForUser(data.profileId || peerId),
+                        avatar: data.avatar || '',
+                        profileId: data.profileId || null,
+                        publicKey: data.publicKey || (isNewPeer ? null : state.peers[peerId].publicKey || null),
+                        // Renaming must not lift a mute or turn a spectator into a player
+                        spectator: isNewPeer ? (!!data.spectator || isSpectatorConnection(connection)) : !!state.peers[peerId].spectator,
+                        muted: isNewPeer ? false : !!state.peers[peerId].muted
                     };
                     
+                    // Keep every guest's peer list complete so they can all
+                    // run the same host election if we drop
+                    if (state.isHost) {
+                        broadcastToPeers(getPeerListMessage());
+                        
+                        shareRoomSecrets();
+                    }
+                    
                     // Notify state change
                     notifyStateChange();
                     
                     // Add system message to chat if this is a new connection
-                    if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+                    if (isNewPeer && window.MentalPlayer && window.MentalPlayer.addChatMessage) {
                         window.MentalPlayer.addChatMessage('system', '', `${state.peers[peerId].name} has joined the room.`);
                     }
+                    
+                    // Catch a resuming peer up on the chat it missed
+                    if (state.isHost && data.resume && typeof data.lastSeq === 'number') {
+                        replayMissedMessages(peerId, data.lastSeq);
+                    }
+                }
+                break;
+                
+            case 'auth_challenge':
+                // Only the room we're joining may ask for our credentials
+                if (peerId === state.roomId) {
+                    answerChallenge(peerId, data);
+                }
+                break;
+                
+            case 'auth_result':
+                if (peerId === state.roomId && !data.ok) {
+                    handleAuthRejected(data.code);
+                }
+                break;
+                
+            case 'room_key':
+                if (peerId === state.roomId && !state.isHost) {
+                    const wasEncrypted = !!state.roomKey && !state.awaitRoomKey;
+                    const roomKey = receiveRoomKey(peerId, data);
+                    state.roomKey = roomKey;
+                    
+                    // Let out whatever was held back waiting for it
+                    if (state.awaitRoomKey) {
+                        state.awaitRoomKey(roomKey);
+                        state.awaitRoomKey = null;
+                    }
+                    
+                    roomKey.then(key => {
+                        if (state.roomKey !== roomKey) return;
+                        
+                        if (!key) {
+                            state.roomKey = null;
+                            showConnectionError('Could not set up end-to-end encryption with the host. Messages in this room will not reach you.');
+                        } else if (!wasEncrypted && window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+                            window.MentalPlayer.addChatMessage('system', '', 'Chat and game data in this room are end-to-end encrypted. Compare fingerprints with the other players to verify.');
+                        }
+                        
+                        notifyStateChange();
+                    });
+                }
+                break;
+                
+            case 'room_auth':
+                if (peerId === state.roomId && !state.isHost) {
+                    state.roomAuth = data.auth || null;
+                    saveSession();
+                }
+                break;
+                
+            case 'peer_leaving':
+                // The peer is leaving on purpose, so don't hold its slot
+                if (state.activeConnections[peerId]) {
+                    state.activeConnections[peerId].leaving = true;
                 }
                 break;
                 
             case 'peer_list':
+                if (data.roomCode) {
+                    state.roomCode = data.roomCode;
+                }
+                
+                if (peerId === state.roomId && !state.isHost) {
+                    state.secretHolderId = data.successorId || null;
+                }
+                
+                // Hold on to sealed messages until the room key the host is about to send us arrives
+                if (data.encrypted && peerId === state.roomId && !state.isHost && !state.roomKey) {
+                    state.roomKey = new Promise(resolve => {
+                        state.awaitRoomKey = resolve;
+                    });
+                }
+                
                 // Update our peer list with the received list, but preserve our own entry
                 if (data.peers && typeof data.peers === 'object') {
                     // Keep our own info
@@ -770,9 +3743,18 @@ const ConnectionManager = (() => {
                     // Update peer list
                     state.peers = data.peers;
                     
-                    // Make sure we don't override our own entry
+                    // Make sure we don't override our own entry, except for the host's mute
                     if (selfInfo) {
-                        state.peers[state.userId] = selfInfo;
+                        const listedSelf = data.peers[state.userId];
+                        state.peers[state.userId] = {
+                            ...selfInfo,
+                            muted: !!(listedSelf && listedSelf.muted)
+                        };
+                    }
+                    
+                    // Open direct links to the other guests
+                    if (config.topology === 'mesh' && !state.isHost) {
+                        connectMeshPeers();
                     }
                     
                     // Notify state change
@@ -780,6 +3762,55 @@ const ConnectionManager = (() => {
                 }
                 break;
                 
+            case 'moderation':
+                if (peerId === state.roomId && !state.isHost) {
+                    handleModeration(data.action);
+                }
+                break;
+                
+            case 'host_transfer':
+                // The host picked its successor; reconnect to it like after a migration
+                if (peerId === state.roomId && !state.isHost && data.newHostId && state.peers[data.newHostId]) {
+                    // Bans outlive the handover
+                    if (data.newHostId === state.userId && Array.isArray(data.banned)) {
+                        data.banned.forEach(bannedId => {
+                            state.bannedPeers[bannedId] = true;
+                        });
+                    }
+                    
+                    migrateHost(peerId, data.newHostId);
+                }
+                break;
+                
+            case 'rate_limited':
+                // The host dropped some of what we sent
+                log(`Host is throttling our ${data.messageType} messages`, 'warning');
+                
+                if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+                    window.MentalPlayer.addChatMessage('system', '', data.messageType === 'chat_message'
+                        ? 'You are sending messages too quickly. Some of them were not delivered.'
+                        : 'You are sending too quickly. Some of your actions were not delivered.');
+                }
+                break;
+                
+            case 'waiting_list':
+                if (peerId === state.roomId && !state.isHost) {
+                    const wasWaiting = state.waitingPeers.some(entry => entry.id === state.userId);
+                    state.waitingPeers = Array.isArray(data.waiting) ? data.waiting : [];
+                    
+                    const position = state.waitingPeers.findIndex(entry => entry.id === state.userId);
+                    if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
+                        if (!wasWaiting && position >= 0) {
+                            window.MentalPlayer.addChatMessage('system', '', `The room is full. You are number ${position + 1} in line for a seat.`);
+                        } else if (wasWaiting && position < 0) {
+                            window.MentalPlayer.addChatMessage('system', '', 'A seat opened up. You are now in the game.');
+                        }
+                    }
+                    
+                    notifyStateChange();
+                }
+                break;
+                
             case 'peer_joined':
                 // Show notification that a new peer joined (for non-host peers)
                 if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
@@ -803,8 +3834,14 @@ const ConnectionManager = (() => {
                 break;
                 
             case 'chat_message':
-                // Find the correct sender ID
-                const actualSenderId = data.senderId || data.peerId || peerId;
+                // Find the correct sender ID (only the host's relay speaks for someone else)
+                const actualSenderId = getSenderId(peerId, data);
+                
+                // Drop chat from players who were removed or muted by the host
+                if ((state.isHost && !state.peers[actualSenderId]) || (state.peers[actualSenderId] && state.peers[actualSenderId].muted)) {
+                    log(`Dropping chat message from muted or unknown peer ${actualSenderId}`, 'warning');
+                    return;
+                }
     
                 // Get sender name
                 let senderName = 'Unknown User';
@@ -820,95 +3857,586 @@ const ConnectionManager = (() => {
                     console.log(`[Connection] Emergency chat display ${success ? 'succeeded' : 'failed'}`);
                 }
     
-                // Also try normal channel as backup
-                if (window.MentalPlayer && window.MentalPlayer.addChatMessage) {
-                    window.MentalPlayer.addChatMessage(actualSenderId, senderName, data.message);
-                }
+                // The chat panel shows it through the message:chat_message event
     
-                // If we're the host, forward the message
-                if (state.isHost) {
-                    broadcastToPeers({
+                // If we're the host, forward the message (mesh senders reached everyone already)
+                if (state.isHost && data.routing !== 'direct') {
+                    broadcastToPeers(stampRoomMessage({
                         type: 'chat_message',
                         senderId: actualSenderId,
                         message: data.message
-                    }, [peerId]); // Exclude the sender
+                    }), [peerId]); // Exclude the sender
                 }
                 break;
                 
             case 'game_switch':
-                // Handle game switch request
-                if (data.gameId && window.MentalPlayer && window.MentalPlayer.loadGame) {
-                    window.MentalPlayer.loadGame(data.gameId);
+                // Spectators watch whatever the players pick; everyone else
+                // switches through the message:game_switch event
+                if (isSpectatorPeer(peerId)) {
+                    return;
                 }
                 break;
                 
             case 'game_state':
-                // Update our game state
+                // Update our game state (kept as the replica used for host migration)
                 state.gameState = data.state;
+                if (data.gameId) {
+                    state.gameId = data.gameId;
+                }
+                
+                // A resuming player picks up where the room is now
+                if (state.resuming) {
+                    state.resuming = false;
+                    restoreGameState();
+                }
                 break;
                 
             case 'game_data':
-                // Log the game data message
+                // Players the host removed no longer take part in the game
+                if (state.isHost && !state.peers[peerId]) {
+                    log(`Dropping game data from unknown peer ${peerId}`, 'warning');
+                    return;
+                }
+                
+                // Spectators can watch but not play
+                if (isSpectatorPeer(getSenderId(peerId, data))) {
+                    log(`Dropping game data from spectator ${peerId}`, 'warning');
+                    return;
+                }
+                
+                // Log the game data message; the game gets it through the message:game_data event
                 console.log(`[Connection] Game data from ${peerId}:`, data);
     
-                // Forward game-specific data to the game module
-                if (window.MentalPlayer && window.MentalPlayer.handleGameMessage) {
-                    window.MentalPlayer.handleGameMessage(peerId, data);
+                // If we're the host, forward the message to all other peers
+                // (mesh senders reached everyone already)
+                if (state.isHost && data.routing !== 'direct') {
+                    // IMPORTANT: Forward the EXACT same message structure
+                    console.log(`[Connection] Host forwarding game data to other peers`);
+                    broadcastToPeers(stampRoomMessage({ ...data, senderId: peerId }), [peerId]); // Exclude the sender
+                }
+                break;
+        }
+        
+        // Let subscribers act on everything that made it past the checks above
+        if (!controlTypes.includes(data.type)) {
+            emit(`message:${data.type}`, {
+                peerId,
+                senderId: getSenderId(peerId, data),
+                data
+            });
+        }
+    }
+    
+    /**
+     * Answer a heartbeat, or record the answer to ours
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Heartbeat or heartbeat_ack message
+     */
+    function handleHeartbeat(peerId, data) {
+        if (data.type === 'heartbeat_ack') {
+            recordHeartbeatAck(peerId, data.timestamp, data.roomTime);
+            return;
+        }
+        
+        // Respond to heartbeat with an acknowledgment
+        sendToPeer(peerId, {
+            type: 'heartbeat_ack',
+            timestamp: data.timestamp,
+            roomTime: getRoomTime()
+        });
+        
+        // The host shares how well it reaches everyone, since we only measure our own links
+        if (peerId === state.roomId && !state.isHost && data.quality && typeof data.quality === 'object') {
+            state.remoteQuality = data.quality;
+        }
+    }
+    
+    /**
+     * Send data to a specific peer
+     * @param {string} peerId ID of the receiving peer
+     * @param {Object} data Data to send
+     * @returns {boolean} Success status
+     */
+    function sendToPeer(peerId, data) {
+        return sendOnLink(peerId, data) !== null;
+    }
+    
+    /**
+     * Send data to a peer, sequencing it for ordered, acknowledged delivery
+     * @param {string} peerId ID of the receiving peer
+     * @param {Object} data Data to send
+     * @returns {Promise<boolean>|null} Resolves once the peer acknowledges, or null if not sent
+     */
+    function sendOnLink(peerId, data) {
+        const connection = state.activeConnections[peerId];
+        if (!connection || !connection.open) {
+            log(`Cannot send to peer ${peerId}: Connection not open`, 'warning');
+            return null;
+        }
+        
+        // Relayed messages carry the sequence number of the link they arrived on;
+        // an ack's sequence number is what it acknowledges, so it stays
+        const { linkSeq, ...relayed } = data;
+        const payload = data.type === 'ack' ? data : relayed;
+        const link = state.links[peerId];
+        let message = payload;
+        let delivery = Promise.resolve(true);
+        
+        // Control messages go out as-is; everything else gets a sequence number
+        if (link && !controlTypes.includes(data.type)) {
+            const seq = link.nextSeq++;
+            message = {
+                ...payload,
+                linkSeq: seq
+            };
+            
+            delivery = new Promise(resolve => {
+                link.unacked[seq] = {
+                    message,
+                    sentAt: Date.now(),
+                    attempts: 0,
+                    resolve
+                };
+            });
+            
+            startRetransmitTimer();
+        }
+        
+        try {
+            // Log all non-heartbeat messages
+            if (!controlTypes.includes(data.type)) {
+                logDebugMessage('SENT', data.type, message);
+            }
+            
+            transmit(connection, message);
+            return delivery;
+        } catch (error) {
+            // Leave it queued; the retransmit timer will try again
+            log(`Error sending to peer ${peerId}: ${error.message}`, 'error');
+            return message === payload ? null : delivery;
+        }
+    }
+    
+    /**
+     * Put a message on the wire, packing large ones into the binary codec and
+     * then encrypting the content in an encrypted room. Both finish out of
+     * order at times; the receiver's link sorts that out.
+     * @param {Object} connection Connection to send on
+     * @param {Object} message Message to send
+     */
+    function transmit(connection, message) {
+        const pack = shouldPack(connection, message);
+        const seal = !!state.roomKey && sealedTypes.includes(message.type);
+        
+        if (!pack && !seal) {
+            simulateNetwork('send', () => {
+                if (connection.open) {
+                    connection.send(message);
+                }
+            });
+            return;
+        }
+        
+        Promise.resolve(pack ? packMessage(connection, message) : message)
+            .then(packed => seal ? sealMessage(packed) : packed)
+            .then(ready => {
+                simulateNetwork('send', () => {
+                    if (connection.open) {
+                        connection.send(ready);
+                    }
+                });
+            })
+            .catch(error => log(`Could not encode ${message.type} for ${connection.peer}: ${error.message}`, 'error'));
+    }
+    
+    /**
+     * Pass a message through the simulated network, if it's switched on
+     * @param {string} direction 'send' or 'receive'
+     * @param {Function} deliver Hands the message on; may be called late, twice or never
+     */
+    function simulateNetwork(direction, deliver) {
+        const conditions = networkConditions;
+        if (!conditions.enabled || !conditions[direction]) {
+            deliver();
+            return;
+        }
+        
+        if (Math.random() < conditions.loss) {
+            networkStats.dropped++;
+            updateSimulatorStats();
+            return;
+        }
+        
+        const copies = Math.random() < conditions.duplicate ? 2 : 1;
+        if (copies > 1) {
+            networkStats.duplicated++;
+        }
+        
+        for (let i = 0; i < copies; i++) {
+            let delay = conditions.latency + Math.random() * conditions.jitter;
+            
+            // Held back past anything sent shortly after it
+            if (Math.random() < conditions.reorder) {
+                delay += conditions.latency + conditions.jitter + 50;
+                networkStats.reordered++;
+            }
+            
+            networkStats.delayed++;
+            setTimeout(deliver, delay);
+        }
+        
+        updateSimulatorStats();
+    }
+    
+    /**
+     * Change the simulated network conditions
+     * @param {Object} conditions Any of { enabled, latency, jitter, loss, reorder, duplicate, send, receive }
+     * @returns {Object} Conditions now in effect
+     */
+    function setNetworkConditions(conditions = {}) {
+        ['enabled', 'send', 'receive'].forEach(name => {
+            if (conditions[name] !== undefined) {
+                networkConditions[name] = !!conditions[name];
+            }
+        });
+        
+        ['latency', 'jitter'].forEach(name => {
+            if (conditions[name] !== undefined) {
+                networkConditions[name] = Math.max(0, Number(conditions[name]) || 0);
+            }
+        });
+        
+        ['loss', 'reorder', 'duplicate'].forEach(name => {
+            if (conditions[name] !== undefined) {
+                networkConditions[name] = Math.min(1, Math.max(0, Number(conditions[name]) || 0));
+            }
+        });
+        
+        const { enabled, latency, jitter, loss, reorder, duplicate } = networkConditions;
+        log(enabled
+            ? `Simulating network: ${latency}ms \u00b1${jitter}ms, ${loss * 100}% loss, ${reorder * 100}% reordered, ${duplicate * 100}% duplicated`
+            : 'Network simulation off', 'warning');
+        
+        return getNetworkConditions();
+    }
+    
+    /**
+     * Get the simulated network conditions
+     * @returns {Object} Copy of the conditions, plus what they have done so far under stats
+     */
+    function getNetworkConditions() {
+        return { ...networkConditions, stats: { ...networkStats } };
+    }
+    
+    /**
+     * Show the simulator's counts in the debug panel
+     */
+    function updateSimulatorStats() {
+        const statsEl = document.getElementById('connection-debug-stats');
+        if (!statsEl) return;
+        
+        statsEl.textContent = `Delayed ${networkStats.delayed}, dropped ${networkStats.dropped}, ` +
+            `reordered ${networkStats.reordered}, duplicated ${networkStats.duplicated}`;
+    }
+    
+    /**
+     * Open the unreliable side channel to a peer we just connected to
+     * @param {string} peerId ID of the peer
+     * @param {Object} endpoint Endpoint the main connection was made on
+     */
+    function openEphemeralChannel(peerId, endpoint) {
+        if (!endpoint) return;
+        
+        try {
+            const channel = endpoint.connect(peerId, {
+                reliable: false,
+                serialization: 'json',
+                metadata: { channel: 'ephemeral' }
+            });
+            
+            if (channel) {
+                channel.on('open', () => setEphemeralChannel(peerId, channel));
+            }
+        } catch (error) {
+            // Ephemeral data just won't reach this peer
+            log(`Could not open side channel to ${peerId}: ${error.message}`, 'warning');
+        }
+    }
+    
+    /**
+     * Take a side channel a peer opened to us
+     * @param {Object} connection Incoming side connection
+     */
+    function acceptEphemeralChannel(connection) {
+        const peerId = connection.peer;
+        
+        connection.on('open', () => {
+            // Only peers we already have a connection with get one
+            const main = state.activeConnections[peerId];
+            if (!main) {
+                log(`Rejecting side channel from unknown peer ${peerId}`, 'warning');
+                connection.close();
+                return;
+            }
+            
+            // A peer still being let in or waiting for a seat gets it once seatPeer() lets it in
+            if (state.isHost && (main.pendingAuth || main.queued || !main.seated)) {
+                if (main.pendingEphemeral) {
+                    main.pendingEphemeral.close();
                 }
+                main.pendingEphemeral = connection;
+                return;
+            }
+            
+            setEphemeralChannel(peerId, connection);
+        });
+    }
+    
+    /**
+     * Start using an open side channel to a peer
+     * @param {string} peerId ID of the peer
+     * @param {Object} channel Open side connection
+     */
+    function setEphemeralChannel(peerId, channel) {
+        // The main connection may have gone while this one was opening
+        if (!state.activeConnections[peerId]) {
+            channel.close();
+            return;
+        }
+        
+        closeEphemeralChannel(peerId);
+        state.ephemeralChannels[peerId] = channel;
+        
+        channel.on('data', data => simulateNetwork('receive', () => {
+            if (channel.open) {
+                handleEphemeralMessage(peerId, data);
+            }
+        }));
+        channel.on('close', () => {
+            if (state.ephemeralChannels[peerId] === channel) {
+                delete state.ephemeralChannels[peerId];
+            }
+        });
+        channel.on('error', error => log(`Side channel error with ${peerId}: ${error.message}`, 'warning'));
+        
+        log(`Side channel open with peer: ${peerId}`, 'debug');
+    }
+    
+    /**
+     * Close the side channel to a peer
+     * @param {string} peerId ID of the peer
+     */
+    function closeEphemeralChannel(peerId) {
+        const channel = state.ephemeralChannels[peerId];
+        if (!channel) return;
+        
+        delete state.ephemeralChannels[peerId];
+        channel.close();
+    }
+    
+    /**
+     * Send data that only matters for a moment (cursors, hover highlights, typing)
+     * over the side channels. Nothing is queued, resent or acknowledged, so it
+     * never holds up game actions; messages can arrive out of order or not at all.
+     * @param {Object} data Message ({ kind, gameId, data })
+     * @returns {number} Number of peers it went out to
+     */
+    function sendEphemeral(data) {
+        if (state.status !== 'connected' || !state.roomId) return 0;
+        
+        const message = {
+            ...data,
+            type: 'ephemeral',
+            senderId: state.userId
+        };
+        
+        // The host passes guests' messages on, unless guests reach each other directly
+        let targets;
+        if (state.isHost) {
+            targets = Object.keys(state.ephemeralChannels).filter(isSeatedConnection);
+        } else if (config.topology === 'mesh' && hasFullMesh()) {
+            targets = Object.keys(state.ephemeralChannels);
+            message.routing = 'direct';
+        } else {
+            targets = [state.roomId];
+        }
+        
+        return targets.filter(peerId => sendOnEphemeralChannel(peerId, message)).length;
+    }
+    
+    /**
+     * Check whether a peer has been let into the room, as broadcastToPeers() requires
+     * @param {string} peerId ID of the peer
+     * @returns {boolean} True unless the peer is still being challenged or waiting for a seat
+     */
+    function isSeatedConnection(peerId) {
+        const connection = state.activeConnections[peerId];
+        return !!connection && !connection.pendingAuth && !connection.queued;
+    }
+    
+    /**
+     * Send a message on a peer's side channel
+     * @param {string} peerId ID of the peer
+     * @param {Object} message Message to send
+     * @returns {boolean} True if it went out; there is no way to know whether it arrived
+     */
+    function sendOnEphemeralChannel(peerId, message) {
+        const channel = state.ephemeralChannels[peerId];
+        if (!channel || !channel.open) return false;
+        
+        try {
+            transmit(channel, message);
+            return true;
+        } catch (error) {
+            log(`Error sending on side channel to ${peerId}: ${error.message}`, 'warning');
+            return false;
+        }
+    }
     
-                // If we're the host, forward the message to all other peers
-                if (state.isHost) {
-                    // IMPORTANT: Forward the EXACT same message structure
-                    console.log(`[Connection] Host forwarding game data to other peers`);
-                    broadcastToPeers(data, [peerId]); // Exclude the sender
+    /**
+     * Handle a message from a peer's side channel
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Message data
+     */
+    function handleEphemeralMessage(peerId, data) {
+        if (!data || data.type !== 'ephemeral') return;
+        
+        if (data.sealed) {
+            openSealed(peerId, data).then(message => {
+                if (message) {
+                    handleEphemeralMessage(peerId, message);
                 }
-                break;
-                
-            case 'heartbeat':
-                // Respond to heartbeat with an acknowledgment
-                sendToPeer(peerId, {
-                    type: 'heartbeat_ack',
-                    timestamp: data.timestamp
-                });
-                break;
-                
-            case 'heartbeat_ack':
-                // Calculate ping
-                const ping = Date.now() - data.timestamp;
-                
-                // Update ping display if needed
-                const pingDisplay = document.getElementById('ping-value');
-                if (pingDisplay) {
-                    pingDisplay.textContent = ping;
+            });
+            return;
+        }
+        
+        if (!validatePeerMessage(peerId, data)) return;
+        
+        // Only players in the room, at a rate the room can take. Going over is easy with
+        // cursor traffic and costs nothing but a stale update, so it is never held against anyone
+        if (state.isHost && (!state.peers[peerId] || !checkRateLimit(peerId, data.type, false))) return;
+        
+        const senderId = getSenderId(peerId, data);
+        emit(`message:${data.type}`, { peerId, senderId, data });
+        
+        if (state.isHost && data.routing !== 'direct') {
+            const relayed = { ...data, senderId };
+            Object.keys(state.ephemeralChannels).filter(isSeatedConnection).forEach(otherId => {
+                if (otherId !== peerId) {
+                    sendOnEphemeralChannel(otherId, relayed);
                 }
-                break;
+            });
         }
     }
     
     /**
-     * Send data to a specific peer
-     * @param {string} peerId ID of the receiving peer
-     * @param {Object} data Data to send
-     * @returns {boolean} Success status
+     * List the encodings we can read, for peer_info
+     * @returns {Array<string>} Codec names
      */
-    function sendToPeer(peerId, data) {
-        const connection = state.activeConnections[peerId];
-        if (!connection || !connection.open) {
-            log(`Cannot send to peer ${peerId}: Connection not open`, 'warning');
-            return false;
+    function getSupportedCodecs() {
+        if (!window.MessageCodec) return [];
+        
+        return MessageCodec.isCompressionAvailable() ? ['binary', 'deflate'] : ['binary'];
+    }
+    
+    /**
+     * Settle on the encodings to use with a peer: whatever both sides support
+     * @param {Object} connection Connection to the peer
+     * @param {Array<string>} theirCodecs Codecs from the peer's peer_info
+     */
+    function negotiateCodecs(connection, theirCodecs) {
+        const shared = getSupportedCodecs().filter(codec => Array.isArray(theirCodecs) && theirCodecs.includes(codec));
+        
+        connection.codecs = {
+            binary: shared.includes('binary'),
+            deflate: shared.includes('binary') && shared.includes('deflate')
+        };
+        
+        log(`Codecs with ${connection.peer}: ${shared.length > 0 ? shared.join(', ') : 'JSON only'}`, 'debug');
+    }
+    
+    /**
+     * Check whether a message is worth packing for a connection
+     * @param {Object} connection Connection to send on
+     * @param {Object} message Message to send
+     * @returns {boolean} True to send it in the binary codec
+     */
+    function shouldPack(connection, message) {
+        return !!(connection.codecs && connection.codecs.binary) &&
+            !controlTypes.includes(message.type) &&
+            JSON.stringify(message).length > config.packThreshold;
+    }
+    
+    /**
+     * Encode a message's content with the binary codec, deflating it when large.
+     * The type and link sequence number stay readable.
+     * @param {Object} connection Connection the message goes out on
+     * @param {Object} message Message to pack
+     * @returns {Promise<Object>} Packed message
+     */
+    async function packMessage(connection, message) {
+        const { type, linkSeq, ...content } = message;
+        let bytes = MessageCodec.encode(content);
+        
+        const packed = { type };
+        
+        if (connection.codecs.deflate && bytes.length > config.compressThreshold) {
+            bytes = await MessageCodec.compress(bytes);
+            packed.compression = 'deflate';
+        }
+        
+        packed.packed = bytesToBase64(bytes);
+        
+        if (linkSeq !== undefined) {
+            packed.linkSeq = linkSeq;
         }
         
+        return packed;
+    }
+    
+    /**
+     * Decode a packed message
+     * @param {string} peerId ID of the sending peer
+     * @param {Object} data Packed message
+     * @returns {Promise<Object|null>} Original message, or null if it couldn't be decoded
+     */
+    async function unpackMessage(peerId, data) {
         try {
-            // Log all non-heartbeat messages
-            if (data.type !== 'heartbeat' && data.type !== 'heartbeat_ack') {
-                logDebugMessage('SENT', data.type, data);
+            if (!window.MessageCodec || typeof data.packed !== 'string') {
+                throw new Error('no codec for it');
             }
             
-            connection.send(data);
-            return true;
+            let bytes = base64ToBytes(data.packed);
+            
+            if (data.compression === 'deflate') {
+                bytes = await MessageCodec.decompress(bytes, config.maxUnpackedSize);
+            } else if (data.compression) {
+                throw new Error(`unknown compression ${data.compression}`);
+            }
+            
+            const content = MessageCodec.decode(bytes);
+            if (!content || typeof content !== 'object' || Array.isArray(content)) {
+                throw new Error('content is not an object');
+            }
+            
+            const message = {
+                ...content,
+                type: data.type
+            };
+            
+            if (data.linkSeq !== undefined) {
+                message.linkSeq = data.linkSeq;
+            }
+            
+            // Packed inside an encrypted message still counts as encrypted
+            if (openedMessages.has(data)) {
+                openedMessages.add(message);
+            }
+            
+            return message;
         } catch (error) {
-            log(`Error sending to peer ${peerId}: ${error.message}`, 'error');
-            return false;
+            log(`Could not unpack ${data.type} from ${peerId}: ${error.message}`, 'warning');
+            return null;
         }
     }
     
@@ -916,43 +4444,75 @@ const ConnectionManager = (() => {
      * Broadcast data to all connected peers
      * @param {Object} data Data to broadcast
      * @param {Array<string>} excludePeerIds Array of peer IDs to exclude
-     * @returns {number} Number of peers data was sent to
+     * @returns {number} Number of peers a send was attempted to, whether or not the link was open
      */
     function broadcastToPeers(data, excludePeerIds = []) {
-        let sentCount = 0;
+        return deliverToPeers(data, excludePeerIds).length;
+    }
+    
+    /**
+     * Send data to all connected peers and collect delivery confirmations
+     * @param {Object} data Data to broadcast
+     * @param {Array<string>} excludePeerIds Array of peer IDs to exclude
+     * @returns {Array<Promise<boolean>>} One delivery promise per peer in the room
+     */
+    function deliverToPeers(data, excludePeerIds = []) {
+        const deliveries = [];
+        let sent = 0;
         
         // Log detail about what's being broadcast (for debugging)
-        if (data.type !== 'heartbeat' && data.type !== 'heartbeat_ack') {
+        if (!controlTypes.includes(data.type)) {
             log(`Broadcasting ${data.type} to peers (excluding ${excludePeerIds.length} peers)`, 'debug');
         }
         
         Object.keys(state.activeConnections).forEach(peerId => {
-            // Skip excluded peers
-            if (excludePeerIds.includes(peerId)) {
+            // Skip excluded peers, and peers that haven't been let into the room yet
+            const connection = state.activeConnections[peerId];
+            if (excludePeerIds.includes(peerId) || connection.pendingAuth || connection.queued) {
                 return;
             }
             
-            if (sendToPeer(peerId, data)) {
-                sentCount++;
+            // A link that isn't open counts as a failed delivery
+            const delivery = sendOnLink(peerId, data);
+            if (delivery) {
+                sent++;
             }
+            deliveries.push(delivery || Promise.resolve(false));
         });
         
-        if (data.type !== 'heartbeat' && data.type !== 'heartbeat_ack') {
-            log(`Broadcast completed. Sent to ${sentCount} peers.`, 'debug');
+        if (!controlTypes.includes(data.type)) {
+            log(`Broadcast completed. Sent to ${sent} of ${deliveries.length} peers.`, 'debug');
         }
         
-        return sentCount;
+        return deliveries;
+    }
+    
+    /**
+     * Combine per-peer delivery promises into one result
+     * @param {Array<Promise<boolean>>} deliveries Delivery promises
+     * @returns {Promise<boolean>} True if every peer acknowledged, which includes having nobody to send to
+     */
+    function settleDeliveries(deliveries) {
+        return Promise.all(deliveries).then(results => results.every(Boolean));
     }
     
     /**
-     * Send data to all connected peers
+     * Send data to all connected peers.
+     * Guests send through the host, so their promise confirms the first hop.
      * @param {Object} data Data to send
-     * @returns {boolean} Success status (true if sent to at least one peer)
+     * @returns {Promise<boolean>} Resolves true once every recipient acknowledged (right away if
+     *     the room has nobody else in it), false if it couldn't be sent or a link broke first (never rejects)
      */
     function sendData(data) {
         if (!initialized) {
             log('Cannot send data: Connection manager not initialized', 'error');
-            return false;
+            return Promise.resolve(false);
+        }
+        
+        // Spectators can watch but not play; the host would drop it anyway
+        if (state.spectator && (data.type === 'game_data' || data.type === 'game_switch')) {
+            log(`Not sending ${data.type}: spectators can't play`, 'debug');
+            return Promise.resolve(false);
         }
         
         // Add sender ID to any outgoing message
@@ -963,14 +4523,22 @@ const ConnectionManager = (() => {
         
         // If we're the host, broadcast to all peers
         if (state.isHost) {
-            return broadcastToPeers(messageWithSender) > 0;
+            const isRoomMessage = data.type === 'chat_message' || data.type === 'game_data';
+            return settleDeliveries(deliverToPeers(isRoomMessage ? stampRoomMessage(messageWithSender) : messageWithSender));
+        }
+        // In mesh mode, reach everyone directly unless the host has to order it
+        else if (state.roomId && config.topology === 'mesh' && canSendDirect(data) && hasFullMesh()) {
+            return settleDeliveries(deliverToPeers({
+                ...messageWithSender,
+                routing: 'direct'
+            }));
         }
         // Otherwise, send to the host
         else if (state.roomId) {
-            return sendToPeer(state.roomId, messageWithSender);
+            return settleDeliveries([sendOnLink(state.roomId, messageWithSender) || Promise.resolve(false)]);
         }
         
-        return false;
+        return Promise.resolve(false);
     }
     
     /**
@@ -981,9 +4549,15 @@ const ConnectionManager = (() => {
     function updateStatus(status, message) {
         log(`Status: ${status} - ${message}`);
         
+        const previous = state.status;
+        
         // Update state
         state.status = status;
         
+        if (status !== previous) {
+            emit('statusChanged', { status, previous, message });
+        }
+        
         // Notify state change
         notifyStateChange();
     }
@@ -1021,82 +4595,374 @@ const ConnectionManager = (() => {
     }
     
     /**
-     * Start heartbeat to monitor connections
+     * Start the heartbeat if it isn't running yet.
+     * One timer covers every link, so each peer gets exactly one heartbeat per interval.
      */
     function startHeartbeat() {
-        // Stop any existing heartbeat
-        stopHeartbeat();
+        if (state.masterHeartbeatTimer) return;
         
-        // Start master heartbeat timer
         state.masterHeartbeatTimer = setInterval(() => {
-            // Send heartbeat to all connected peers
-            Object.keys(state.activeConnections).forEach(peerId => {
-                sendToPeer(peerId, {
-                    type: 'heartbeat',
-                    timestamp: Date.now()
-                });
-            });
+            Object.keys(state.activeConnections).forEach(checkHeartbeat);
+            
+            // Keep guests' replica of the game state fresh for host migration
+            if (state.isHost && config.hostMigration) {
+                replicateGameState();
+            }
+            
+            // Refresh the quality indicators once per round
+            if (state.roomId) {
+                notifyStateChange();
+            }
         }, config.heartbeatInterval);
     }
     
     /**
-     * Start heartbeat for a specific peer
+     * Start measuring a newly opened link
      * @param {string} peerId ID of the peer
      */
     function startPeerHeartbeat(peerId) {
-        // Stop any existing heartbeat for this peer
-        stopPeerHeartbeat(peerId);
+        state.linkStats[peerId] = {
+            rtt: null,        // Smoothed round-trip time
+            jitter: 0,        // Smoothed variation between round trips
+            lastSample: null, // Most recent round-trip time
+            missed: 0,        // Heartbeats unanswered in a row
+            pendingSince: null // Timestamp of the heartbeat we're waiting on
+        };
         
-        // Start heartbeat timer
-        state.heartbeatTimers[peerId] = setInterval(() => {
-            sendToPeer(peerId, {
-                type: 'heartbeat',
-                timestamp: Date.now()
-            });
-        }, config.heartbeatInterval);
+        startHeartbeat();
+        
+        // Measure right away rather than a full interval from now, so the room clock is synced early
+        checkHeartbeat(peerId);
     }
     
     /**
-     * Stop heartbeat for a specific peer
+     * Stop measuring a link
      * @param {string} peerId ID of the peer
      */
     function stopPeerHeartbeat(peerId) {
-        if (state.heartbeatTimers[peerId]) {
-            clearInterval(state.heartbeatTimers[peerId]);
-            delete state.heartbeatTimers[peerId];
-        }
+        delete state.linkStats[peerId];
     }
     
     /**
      * Stop all heartbeats
      */
     function stopHeartbeat() {
-        // Clear master heartbeat timer
         if (state.masterHeartbeatTimer) {
             clearInterval(state.masterHeartbeatTimer);
             state.masterHeartbeatTimer = null;
         }
         
-        // Clear all peer heartbeat timers
-        Object.keys(state.heartbeatTimers).forEach(peerId => {
-            clearInterval(state.heartbeatTimers[peerId]);
+        state.linkStats = {};
+        state.remoteQuality = {};
+    }
+    
+    /**
+     * Send the next heartbeat on a link, closing it if too many went unanswered
+     * @param {string} peerId ID of the peer
+     */
+    function checkHeartbeat(peerId) {
+        const stats = state.linkStats[peerId];
+        if (!stats) return;
+        
+        // The previous heartbeat never came back
+        if (stats.pendingSince !== null) {
+            stats.missed++;
+            
+            if (stats.missed >= config.maxMissedHeartbeats) {
+                evictPeer(peerId);
+                return;
+            }
+        }
+        
+        stats.pendingSince = Date.now();
+        
+        const heartbeat = {
+            type: 'heartbeat',
+            timestamp: stats.pendingSince
+        };
+        
+        if (state.isHost) {
+            heartbeat.quality = getConnectionQuality();
+        }
+        
+        sendToPeer(peerId, heartbeat);
+    }
+    
+    /**
+     * Update a link's round-trip time and jitter from a heartbeat acknowledgment
+     * @param {string} peerId ID of the peer
+     * @param {number} timestamp Timestamp echoed back from our heartbeat
+     * @param {number} roomTime The peer's room clock when it answered
+     */
+    function recordHeartbeatAck(peerId, timestamp, roomTime) {
+        const stats = state.linkStats[peerId];
+        if (!stats || typeof timestamp !== 'number') return;
+        
+        const now = Date.now();
+        const sample = now - timestamp;
+        
+        if (peerId === state.roomId && !state.isHost && typeof roomTime === 'number') {
+            recordClockSample(timestamp, now, roomTime);
+        }
+        
+        // Smoothed the way TCP estimates RTT (RFC 6298) and RTP estimates jitter (RFC 3550)
+        if (stats.rtt === null) {
+            stats.rtt = sample;
+        } else {
+            stats.rtt += (sample - stats.rtt) / 8;
+            stats.jitter += (Math.abs(sample - stats.lastSample) - stats.jitter) / 16;
+        }
+        
+        stats.lastSample = sample;
+        stats.missed = 0;
+        stats.pendingSince = null;
+        
+        updatePingDisplay();
+    }
+    
+    /**
+     * Estimate the offset to the host's clock the way NTP does: assume the
+     * answer was stamped halfway through the round trip, and trust the sample
+     * with the shortest round trip since it has the least room for delay asymmetry
+     * @param {number} sentAt Our clock when the heartbeat left
+     * @param {number} receivedAt Our clock when the answer arrived
+     * @param {number} roomTime The host's room clock when it answered
+     */
+    function recordClockSample(sentAt, receivedAt, roomTime) {
+        state.clockSamples.push({
+            rtt: receivedAt - sentAt,
+            offset: roomTime - (sentAt + receivedAt) / 2
+        });
+        
+        if (state.clockSamples.length > config.clockSampleCount) {
+            state.clockSamples.shift();
+        }
+        
+        const best = state.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        state.clockOffset = Math.round(best.offset);
+    }
+    
+    /**
+     * Get the current time on the room clock, which every player shares
+     * @returns {number} Milliseconds since the epoch on the host's clock
+     */
+    function getRoomTime() {
+        return Date.now() + state.clockOffset;
+    }
+    
+    /**
+     * Close a link whose peer stopped answering heartbeats.
+     * The close handler then treats it like any other drop.
+     * @param {string} peerId ID of the peer
+     */
+    function evictPeer(peerId) {
+        const connection = state.activeConnections[peerId];
+        
+        log(`Peer ${peerId} missed ${config.maxMissedHeartbeats} heartbeats, closing the connection`, 'warning');
+        
+        stopPeerHeartbeat(peerId);
+        
+        if (connection) {
+            connection.close();
+        }
+    }
+    
+    /**
+     * Rate a link from its measurements
+     * @param {Object} stats Link measurements
+     * @returns {string} good, fair, poor or unknown
+     */
+    function rateLink(stats) {
+        if (stats.rtt === null) return stats.missed > 0 ? 'poor' : 'unknown';
+        if (stats.missed > 1) return 'poor';
+        
+        const { good, fair } = qualityThresholds;
+        if (stats.missed === 0 && stats.rtt < good.rtt && stats.jitter < good.jitter) return 'good';
+        if (stats.rtt < fair.rtt && stats.jitter < fair.jitter) return 'fair';
+        return 'poor';
+    }
+    
+    /**
+     * Get the connection quality to every player we can rate.
+     * Our own links are measured directly; guests fill in the rest from the host's measurements.
+     * @returns {Object} Map of peerId to { rtt, jitter, missed, quality }
+     */
+    function getConnectionQuality() {
+        const report = state.isHost ? {} : { ...state.remoteQuality };
+        
+        Object.keys(state.linkStats).forEach(peerId => {
+            const stats = state.linkStats[peerId];
+            report[peerId] = {
+                rtt: stats.rtt === null ? null : Math.round(stats.rtt),
+                jitter: Math.round(stats.jitter),
+                missed: stats.missed,
+                quality: rateLink(stats)
+            };
         });
         
-        state.heartbeatTimers = {};
+        // The host measured its link to us, which is the same link we measured
+        if (!state.isHost && report[state.roomId]) {
+            report[state.userId] = report[state.roomId];
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Show the round-trip time in the room info: to the host for guests,
+     * to the slowest player for the host
+     */
+    function updatePingDisplay() {
+        const pingDisplay = document.getElementById('ping-value');
+        if (!pingDisplay) return;
+        
+        const rtts = (state.isHost ? Object.values(state.linkStats) : [state.linkStats[state.roomId]])
+            .filter(stats => stats && stats.rtt !== null)
+            .map(stats => stats.rtt);
+        
+        pingDisplay.textContent = rtts.length > 0 ? Math.round(Math.max(...rtts)) : '--';
     }
     
     /**
      * Notify core of state changes
      */
     function notifyStateChange() {
+        // Keep the session token current for resume after a refresh
+        saveSession();
+        
+        announcePeerChanges();
+        
+        const snapshot = {
+            status: state.status,
+            roomId: state.roomId,
+            roomCode: state.roomCode,
+            isHost: state.isHost,
+            isSpectator: state.spectator,
+            peers: {...state.peers},
+            waiting: [...state.waitingPeers],
+            quality: getConnectionQuality(),
+            encrypted: !!state.roomKey,
+            fingerprints: getFingerprints()
+        };
+        
         if (state.onStateChangeCallback && typeof state.onStateChangeCallback === 'function') {
-            state.onStateChangeCallback({
-                status: state.status,
-                roomId: state.roomId,
-                isHost: state.isHost,
-                peers: {...state.peers}
-            });
+            state.onStateChangeCallback(snapshot);
+        }
+        
+        emit('stateChanged', snapshot);
+    }
+    
+    /**
+     * Get the fingerprints of everyone in an encrypted room, ourselves included
+     * @returns {Object} Fingerprints by peerId; empty if the room isn't encrypted
+     */
+    function getFingerprints() {
+        const result = {};
+        if (!state.roomKey) return result;
+        
+        new Set([state.userId, ...Object.keys(state.peers)]).forEach(peerId => {
+            const fingerprint = getFingerprint(peerId);
+            if (fingerprint) {
+                result[peerId] = fingerprint;
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Fire peerJoined and peerLeft for the difference since the last state change
+     */
+    function announcePeerChanges() {
+        const current = {};
+        Object.keys(state.peers).forEach(peerId => {
+            if (peerId !== state.userId) {
+                current[peerId] = state.peers[peerId];
+            }
+        });
+        
+        const previous = announcedPeers;
+        announcedPeers = current;
+        
+        Object.keys(previous).forEach(peerId => {
+            if (!current[peerId]) {
+                emit('peerLeft', { peerId, peer: previous[peerId] });
+            }
+        });
+        
+        Object.keys(current).forEach(peerId => {
+            if (!previous[peerId]) {
+                emit('peerJoined', { peerId, peer: current[peerId] });
+            }
+        });
+    }
+    
+    /**
+     * Check whether an event name can be subscribed to
+     * @param {string} event Event name
+     * @returns {boolean} True if known
+     */
+    function isKnownEvent(event) {
+        return eventNames.includes(event) || (typeof event === 'string' && /^message:\w+$/.test(event));
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event One of eventNames, or message:<type>
+     * @param {Function} handler Called with the event payload
+     * @returns {Function} Unsubscribes the handler
+     */
+    function on(event, handler) {
+        if (!isKnownEvent(event) || typeof handler !== 'function') {
+            log(`Cannot subscribe to '${event}': unknown event or missing handler`, 'error');
+            return () => {};
         }
+        
+        (listeners[event] = listeners[event] || []).push(handler);
+        
+        return () => off(event, handler);
+    }
+    
+    /**
+     * Unsubscribe from an event
+     * @param {string} event Event name
+     * @param {Function} handler Handler passed to on() or once()
+     */
+    function off(event, handler) {
+        if (!listeners[event]) return;
+        
+        listeners[event] = listeners[event].filter(listener => listener !== handler && listener.original !== handler);
+    }
+    
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event One of eventNames, or message:<type>
+     * @param {Function} handler Called with the event payload
+     * @returns {Function} Unsubscribes the handler
+     */
+    function once(event, handler) {
+        const wrapper = payload => {
+            off(event, wrapper);
+            handler(payload);
+        };
+        wrapper.original = handler;
+        
+        return on(event, wrapper);
+    }
+    
+    /**
+     * Call every handler subscribed to an event; one failing handler doesn't stop the rest
+     * @param {string} event Event name
+     * @param {Object} payload Event payload
+     */
+    function emit(event, payload) {
+        (listeners[event] || []).slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                log(`Error in ${event} handler: ${error.message}`, 'error');
+            }
+        });
     }
     
     /**
@@ -1108,6 +4974,24 @@ const ConnectionManager = (() => {
             state.userName = userInfo.userName;
         }
         
+        // An empty color or avatar goes back to the default
+        if (userInfo.userColor !== undefined) {
+            state.userColor = userInfo.userColor || '';
+        }
+        
+        if (userInfo.userAvatar !== undefined) {
+            state.userAvatar = userInfo.userAvatar || '';
+        }
+        
+        // Our own entry shows the change straight away
+        const self = state.peers[state.userId];
+        if (self) {
+            self.name = state.userName;
+            self.color = getSelfColor();
+            self.avatar = state.userAvatar;
+            notifyStateChange();
+        }
+        
         // Send update to all connected peers
         if (state.status === 'connected') {
             sendData({
@@ -1115,7 +4999,11 @@ const ConnectionManager = (() => {
                 userId: state.userId,
                 userName: state.userName,
                 isHost: state.isHost,
-                color: getColorForUser(state.userId)
+                color: getSelfColor(),
+                avatar: state.userAvatar,
+                profileId: state.profileId,
+                publicKey: state.publicKey,
+                codecs: getSupportedCodecs()
             });
         }
     }
@@ -1160,11 +5048,12 @@ const ConnectionManager = (() => {
     }
     
     /**
-     * Get color for self
+     * Get color for self: the one picked in the profile, otherwise one that stays
+     * the same across sessions because it comes from the profile ID
      * @returns {string} Color string
      */
     function getSelfColor() {
-        return getColorForUser(state.userId);
+        return state.userColor || getColorForUser(state.profileId || state.userId);
     }
     
     /**
@@ -1187,7 +5076,19 @@ const ConnectionManager = (() => {
         state.peers = {};
         state.pendingOffers = {};
         state.roomId = '';
+        state.roomCode = '';
+        releaseRoomCode();
         state.isHost = false;
+        state.migration = null;
+        state.resuming = false;
+        state.roomAuth = null;
+        state.roomAuthReady = null;
+        state.secretHolderId = null;
+        state.formerPeers = null;
+        state.bannedPeers = {};
+        state.spectator = false;
+        state.waitingPeers = [];
+        clearDepartedPeers();
         state.status = 'disconnected';
         
         // Close peer if exists
@@ -1195,6 +5096,13 @@ const ConnectionManager = (() => {
             state.peer.destroy();
             state.peer = null;
         }
+        
+        // Leave the relay; initializePeer registers again
+        if (state.relay) {
+            const relay = state.relay;
+            state.relay = null;
+            relay.destroy();
+        }
     }
     
     /**
@@ -1234,15 +5142,40 @@ const ConnectionManager = (() => {
         setGameState,
         getPeerColor,
         getSelfColor,
+        getSavedSession: loadSession,
+        validateServerSettings,
+        getServerSettings,
+        configureServers,
+        createInviteToken,
+        kickPeer,
+        banPeer,
+        mutePeer,
+        transferHost,
+        getConnectionQuality,
+        getRoomTime,
+        getFingerprint,
+        isRoomCode,
+        sendEphemeral,
+        setNetworkConditions,
+        getNetworkConditions,
+        on,
+        off,
+        once,
         
         // Add additional utility methods as needed
         get state() {
             return {
                 status: state.status,
                 roomId: state.roomId,
+                roomCode: state.roomCode,
                 isHost: state.isHost,
+                isSpectator: state.spectator,
+                isEncrypted: !!state.roomKey,
+                // Reachable and not in or joining a room, so createRoom/joinRoom can go ahead
+                isReady: !!state.peer && !!state.peer.open && !state.roomId && state.status !== 'connecting',
                 userId: state.userId,
                 userName: state.userName,
+                transport: config.transport,
             };
         },
         
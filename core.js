@@ -55,15 +55,31 @@ const MentalPlayer = (() => {
     // Application state
     const state = {
         user: {
-            id: '',
+            id: '',           // Peer ID for this tab's connection
             name: '',
+            profileId: '',    // Stays the same across sessions, unlike the peer ID
+            color: '',        // Player color as #rrggbb, '' for one derived from the profile ID
+            avatar: '',       // Emoji shown next to the name, '' for none
+            difficulty: '',   // Preferred difficulty for new games (easy, medium, hard), '' for the game's default
+            theme: 'system'   // light, dark, or system to follow the device
         },
         connection: {
             status: 'disconnected', // disconnected, connecting, connected, error
             roomId: '',
+            roomCode: '', // Readable code for the room, '' until the host has one
             isHost: false,
-            peers: {}
+            isSpectator: false,
+            peers: {},
+            waiting: [], // Players queued for a seat ({ id, name })
+            quality: {}, // Link quality by peerId ({ rtt, jitter, missed, quality })
+            encrypted: false, // Room is end-to-end encrypted
+            fingerprints: {}  // Public key fingerprints by peerId, in encrypted rooms
         },
+        invite: {
+            roomId: '', // Room the invite link was for
+            token: ''   // Signed invite token from the link, for private rooms
+        },
+        listing: null, // Public listing for the room we host ({ password }), null if unlisted
         activeGame: {
             id: null,
             instance: null,
@@ -71,7 +87,8 @@ const MentalPlayer = (() => {
         },
         ui: {
             initialized: false,
-            currentView: 'gameSelect' // gameSelect, gameActive
+            currentView: 'gameSelect', // gameSelect, gameActive
+            browsingRooms: false       // Room browser shown instead of the game cards
         }
     };
     
@@ -102,7 +119,11 @@ const MentalPlayer = (() => {
         // Room info
         roomInfo: null,
         currentRoomId: null,
+        roomEncryption: null,
         playersContainer: null,
+        seatCount: null,
+        waitingContainer: null,
+        waitingPlayers: null,
         
         // Chat
         chatMessages: null,
@@ -116,14 +137,37 @@ const MentalPlayer = (() => {
         gameOverModal: null
     };
     
+    // Unsubscribe functions for connection events the active game listens to
+    let gameSubscriptions = [];
+    
+    // Keeps the room browser current while it's open ({ unwatch, timer })
+    let roomBrowserRefresh = null;
+    
+    // The URL follows the app once the player is past the name prompt
+    let routerStarted = false;
+    
+    // Set while the app is being moved to a route, so the moves don't add history entries of their own
+    let applyingRoute = false;
+    
+    // Room from the URL we're waiting to join, so it stays in the URL meanwhile
+    let pendingRouteRoom = '';
+    
+    // Avatars offered in the profile dialog; any short emoji can be typed in too
+    const avatarChoices = ['😀', '😎', '🤖', '👻', '🐱', '🐶', '🦊', '🐼', '🐸', '🦄', '🐙', '🚀', '⭐', '🔥', '🍀', '🎲'];
+    
+    // Follows the device's dark mode setting for the 'system' theme
+    const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    
     /**
      * Initialize the application
      */
     function init() {
         console.log('[MentalPlayer] Initializing application...');
         
-        // Set random ID for this user
-        state.user.id = generateId();
+        // Reuse the ID from a saved session so we can rejoin after a refresh,
+        // otherwise set a random ID for this user
+        const session = getSavedSession();
+        state.user.id = session ? session.userId : generateId();
         
         // Initialize element references
         initElementReferences();
@@ -133,6 +177,12 @@ const MentalPlayer = (() => {
         
         // Check for saved user data
         loadUserData();
+        applyTheme();
+        
+        // The system theme changes with the device setting
+        if (darkSchemeQuery && typeof darkSchemeQuery.addEventListener === 'function') {
+            darkSchemeQuery.addEventListener('change', applyTheme);
+        }
         
         // Check URL for room invites
         checkUrlForInvite();
@@ -140,6 +190,11 @@ const MentalPlayer = (() => {
         // Set UI initialization flag
         state.ui.initialized = true;
         
+        // Skip the name prompt and rejoin straight away when resuming a session
+        if (session && state.user.name) {
+            handleNameSubmit();
+        }
+        
         console.log('[MentalPlayer] Initialization complete');
     }
     
@@ -150,6 +205,11 @@ const MentalPlayer = (() => {
         // Main sections
         elements.gameSelect = document.getElementById('game-select');
         elements.gameGrid = document.getElementById('game-grid');
+        elements.browseRoomsBtn = document.getElementById('browse-rooms');
+        elements.roomBrowser = document.getElementById('room-browser');
+        elements.roomList = document.getElementById('room-list');
+        elements.roomDirectoryName = document.getElementById('room-directory-name');
+        elements.refreshRoomsBtn = document.getElementById('refresh-rooms');
         elements.gameContainer = document.getElementById('game-container');
         elements.sidePanel = document.getElementById('side-panel');
         
@@ -164,6 +224,11 @@ const MentalPlayer = (() => {
         
         // Room controls
         elements.roomIdInput = document.getElementById('room-id');
+        elements.roomPasswordInput = document.getElementById('room-password');
+        elements.inviteOnlyCheckbox = document.getElementById('room-invite-only');
+        elements.encryptedCheckbox = document.getElementById('room-encrypted');
+        elements.listedCheckbox = document.getElementById('room-listed');
+        elements.spectatorCheckbox = document.getElementById('join-as-spectator');
         elements.createRoomBtn = document.getElementById('create-room');
         elements.joinRoomBtn = document.getElementById('join-room');
         elements.inviteBtn = document.getElementById('invite-players');
@@ -172,7 +237,11 @@ const MentalPlayer = (() => {
         // Room info
         elements.roomInfo = document.getElementById('room-info');
         elements.currentRoomId = document.getElementById('current-room-id');
+        elements.roomEncryption = document.getElementById('room-encryption');
         elements.playersContainer = document.getElementById('players-container');
+        elements.seatCount = document.getElementById('seat-count');
+        elements.waitingContainer = document.getElementById('waiting-container');
+        elements.waitingPlayers = document.getElementById('waiting-players');
         
         // Chat
         elements.chatMessages = document.getElementById('chat-messages');
@@ -186,6 +255,8 @@ const MentalPlayer = (() => {
         elements.gameOverModal = document.getElementById('game-over-modal');
         elements.inviteModal = document.getElementById('invite-modal');
         elements.inviteLink = document.getElementById('invite-link');
+        elements.inviteCode = document.getElementById('invite-room-code');
+        elements.inviteQr = document.getElementById('invite-qr');
         elements.copyLinkBtn = document.getElementById('copy-link');
         elements.closeInviteModalBtn = document.getElementById('close-invite-modal');
         
@@ -199,6 +270,7 @@ const MentalPlayer = (() => {
         // Footer links
         elements.privacyLink = document.getElementById('privacy-link');
         elements.aboutLink = document.getElementById('about-link');
+        elements.settingsLink = document.getElementById('settings-link');
     }
     
     /**
@@ -215,6 +287,13 @@ const MentalPlayer = (() => {
             });
         }
         
+        // Back and forward buttons, and edits to the URL
+        window.addEventListener('popstate', () => {
+            if (routerStarted) {
+                applyRoute(parseRoute());
+            }
+        });
+        
         // Game navigation
         if (elements.backBtn) {
             elements.backBtn.addEventListener('click', () => {
@@ -222,6 +301,16 @@ const MentalPlayer = (() => {
             });
         }
         
+        // Room browser
+        if (elements.browseRoomsBtn) {
+            elements.browseRoomsBtn.addEventListener('click', () => {
+                toggleRoomBrowser(!state.ui.browsingRooms);
+            });
+        }
+        if (elements.refreshRoomsBtn) {
+            elements.refreshRoomsBtn.addEventListener('click', refreshRoomList);
+        }
+        
         // Room controls
         if (elements.createRoomBtn) {
             elements.createRoomBtn.addEventListener('click', createRoom);
@@ -311,6 +400,13 @@ const MentalPlayer = (() => {
             });
         }
         
+        if (elements.settingsLink) {
+            elements.settingsLink.addEventListener('click', event => {
+                event.preventDefault();
+                showServerSettings();
+            });
+        }
+        
         // Click outside modals to close - with special handling for the entry modal
         window.addEventListener('click', event => {
             if (event.target.classList.contains('modal')) {
@@ -382,6 +478,7 @@ const MentalPlayer = (() => {
             <div class="game-icon">${game.icon || '🎮'}</div>
             <h3>${game.name || game.id}</h3>
             <p>${game.description || 'A multiplayer puzzle game'}</p>
+            <p class="game-players"><i class="fas fa-users"></i> ${formatPlayerRange(game)}</p>
         `;
         
         // Add click handler to load the game
@@ -392,6 +489,182 @@ const MentalPlayer = (() => {
         return card;
     }
     
+    /**
+     * Describe how many players a game takes
+     * @param {Object} game Game metadata
+     * @returns {string} e.g. "1-6 players" or "2+ players"
+     */
+    function formatPlayerRange(game) {
+        const minPlayers = game.minPlayers || 1;
+        
+        if (!game.maxPlayers) return `${minPlayers}+ players`;
+        if (game.maxPlayers === minPlayers) return `${minPlayers} ${minPlayers === 1 ? 'player' : 'players'}`;
+        return `${minPlayers}-${game.maxPlayers} players`;
+    }
+    
+    /**
+     * Show the room browser in place of the game cards, or go back to them
+     * @param {boolean} open True to show the room browser
+     */
+    function toggleRoomBrowser(open) {
+        state.ui.browsingRooms = open;
+        
+        if (elements.gameGrid) {
+            elements.gameGrid.style.display = open ? 'none' : '';
+        }
+        
+        if (elements.roomBrowser) {
+            elements.roomBrowser.style.display = open ? 'block' : 'none';
+        }
+        
+        if (elements.browseRoomsBtn) {
+            elements.browseRoomsBtn.innerHTML = open
+                ? '<i class="fas fa-th"></i> Back to Games'
+                : '<i class="fas fa-list"></i> Browse Rooms';
+        }
+        
+        // Keep the list current while it's showing
+        if (roomBrowserRefresh) {
+            clearInterval(roomBrowserRefresh.timer);
+            if (roomBrowserRefresh.unwatch) {
+                roomBrowserRefresh.unwatch();
+            }
+            roomBrowserRefresh = null;
+        }
+        
+        if (open && window.RoomDirectory) {
+            roomBrowserRefresh = {
+                unwatch: window.RoomDirectory.watch(refreshRoomList),
+                timer: setInterval(refreshRoomList, 10000)
+            };
+            refreshRoomList();
+        }
+    }
+    
+    /**
+     * Fetch the listed rooms and show them in the room browser
+     */
+    function refreshRoomList() {
+        if (!elements.roomList) return;
+        
+        if (!window.RoomDirectory) {
+            renderRoomList([], 'The room directory is not available.');
+            return;
+        }
+        
+        if (elements.roomDirectoryName) {
+            const directoryName = window.RoomDirectory.getDirectoryName();
+            elements.roomDirectoryName.textContent = directoryName ? `Rooms listed on: ${directoryName}` : '';
+        }
+        
+        window.RoomDirectory.listRooms()
+            .then(listings => renderRoomList(listings))
+            .catch(error => {
+                console.warn(`[MentalPlayer] Could not load rooms: ${error.message}`);
+                renderRoomList([], 'Could not reach the room directory. Try again in a moment.');
+            });
+    }
+    
+    /**
+     * Show listed rooms in the room browser
+     * @param {Array<Object>} listings Listings from the directory
+     * @param {string} emptyMessage Optional text for when there is nothing to show
+     */
+    function renderRoomList(listings, emptyMessage) {
+        if (!elements.roomList) return;
+        
+        elements.roomList.innerHTML = '';
+        
+        // Rooms for games we don't have can't be joined
+        const rooms = listings.filter(listing => window.GameRegistry && window.GameRegistry.isGameRegistered(listing.gameId));
+        
+        if (rooms.length === 0) {
+            const emptyEl = document.createElement('div');
+            emptyEl.className = 'room-list-empty';
+            emptyEl.textContent = emptyMessage || 'No public rooms right now. Create a room with "List publicly" ticked to add one.';
+            elements.roomList.appendChild(emptyEl);
+            return;
+        }
+        
+        rooms.forEach(listing => {
+            elements.roomList.appendChild(createRoomListing(listing));
+        });
+    }
+    
+    /**
+     * Create a room browser entry
+     * @param {Object} listing Listing from the directory
+     * @returns {HTMLElement} Room listing element
+     */
+    function createRoomListing(listing) {
+        const game = window.GameRegistry.getGameMetadata(listing.gameId);
+        const seats = listing.maxPlayers ? `${listing.players}/${listing.maxPlayers}` : `${listing.players}`;
+        
+        const item = document.createElement('div');
+        item.className = 'room-listing';
+        item.innerHTML = `
+            <div class="room-listing-icon">${game.icon || '🎮'}</div>
+            <div class="room-listing-details">
+                <div class="room-listing-name"></div>
+                <div class="room-listing-meta">
+                    ${game.name || listing.gameId} &middot; <i class="fas fa-users"></i> ${seats}
+                    ${listing.password ? '&middot; <i class="fas fa-lock" title="Password protected"></i>' : ''}
+                </div>
+            </div>
+            <button class="button primary-button">Join</button>
+        `;
+        
+        // The name was typed by another player
+        item.querySelector('.room-listing-name').textContent = listing.name;
+        item.querySelector('button').addEventListener('click', () => joinListedRoom(listing));
+        
+        return item;
+    }
+    
+    /**
+     * Join a room picked in the room browser
+     * @param {Object} listing Listing from the directory
+     */
+    function joinListedRoom(listing) {
+        if (state.connection.status === 'connected') {
+            showNotification('Already in a Room', 'Leave your current room before joining another', 'warning');
+            return;
+        }
+        
+        loadGame(listing.gameId);
+        
+        if (elements.roomIdInput) {
+            elements.roomIdInput.value = listing.roomId;
+        }
+        
+        // Password rooms ask for the password when the host challenges us
+        joinRoom();
+    }
+    
+    /**
+     * Keep our room's public listing in step with the room, or take it down
+     */
+    function updateRoomListing() {
+        if (!window.RoomDirectory) return;
+        
+        const hosting = state.connection.status === 'connected' && state.connection.isHost;
+        if (!hosting || !state.listing || !state.activeGame.id) {
+            window.RoomDirectory.stopAdvertising();
+            return;
+        }
+        
+        const game = window.GameRegistry ? window.GameRegistry.getGameMetadata(state.activeGame.id) : null;
+        
+        window.RoomDirectory.advertise({
+            roomId: state.connection.roomId,
+            gameId: state.activeGame.id,
+            name: `${state.user.name}'s room`,
+            players: Object.values(state.connection.peers).filter(peer => !peer.spectator).length,
+            maxPlayers: game ? game.maxPlayers : null,
+            password: state.listing.password
+        });
+    }
+    
     /**
      * Load a game
      * @param {string} gameId Game identifier
@@ -409,8 +682,15 @@ const MentalPlayer = (() => {
         // Get game module from registry
         const gameModule = window.GameRegistry.getGame(gameId);
         
+        // Drop the previous game's event subscriptions
+        gameSubscriptions.forEach(unsubscribe => unsubscribe());
+        gameSubscriptions = [];
+        
         // Update state
         state.activeGame.id = gameId;
+        
+        // A listed room shows the game being played
+        updateRoomListing();
         state.activeGame.instance = gameModule;
         
         // Switch to game view
@@ -432,15 +712,49 @@ const MentalPlayer = (() => {
                 // Pass context to game module
                 state: state,
                 connection: window.ConnectionManager,
+                // Spectators see the game but can't play; read live since the role can change after loading
+                get isSpectator() {
+                    return !!state.connection.isSpectator;
+                },
+                // The player's profile preferences (difficulty), read live so profile edits reach the game
+                get preferences() {
+                    return { difficulty: state.user.difficulty };
+                },
+                // Shared room clock (the host's), for timers every player should agree on
+                getRoomTime: () => {
+                    return window.ConnectionManager ? window.ConnectionManager.getRoomTime() : Date.now();
+                },
+                // Connection events (see ConnectionManager.on); dropped automatically when another game loads
+                on: (event, handler) => {
+                    if (!window.ConnectionManager) return () => {};
+                    
+                    const unsubscribe = window.ConnectionManager.on(event, handler);
+                    gameSubscriptions.push(unsubscribe);
+                    return unsubscribe;
+                },
+                // Resolves true once the message was acknowledged
                 sendMessage: (type, data) => {
                     // Broadcast game message to other players
                     if (window.ConnectionManager) {
-                        window.ConnectionManager.sendData({
+                        return window.ConnectionManager.sendData({
                             type: type,
                             gameId: gameId,
                             data: data
                         });
                     }
+                    
+                    return Promise.resolve(false);
+                },
+                // Fire-and-forget, for data that's stale by the time it could be resent
+                // (cursors, hover highlights); returns how many peers it went out to
+                sendEphemeral: (type, data) => {
+                    if (!window.ConnectionManager) return 0;
+                    
+                    return window.ConnectionManager.sendEphemeral({
+                        kind: type,
+                        gameId: gameId,
+                        data: data
+                    });
                 }
             });
         }
@@ -448,6 +762,9 @@ const MentalPlayer = (() => {
         // Update game controls
         updateGameControls(gameModule);
         
+        // Seat limits come from the game
+        updateWaitingList();
+        
         // Notify peers about game switch if in a room
         if (state.connection.status === 'connected' && window.ConnectionManager) {
             window.ConnectionManager.sendData({
@@ -503,6 +820,11 @@ const MentalPlayer = (() => {
             leaveRoom();
         }
         
+        // The room browser belongs to the selection screen
+        if (viewName !== 'gameSelect' && state.ui.browsingRooms) {
+            toggleRoomBrowser(false);
+        }
+        
         // Update state
         state.ui.currentView = viewName;
         
@@ -527,6 +849,8 @@ const MentalPlayer = (() => {
             state.activeGame.id = null;
             state.activeGame.instance = null;
         }
+        
+        updateRoute();
     }
     
     /**
@@ -561,13 +885,31 @@ const MentalPlayer = (() => {
             window.ConnectionManager.init({
                 userId: state.user.id,
                 userName: state.user.name,
+                profileId: state.user.profileId,
+                userColor: state.user.color,
+                userAvatar: state.user.avatar,
+                // e.g. ?transport=broadcast to play across tabs without a network
+                transport: new URLSearchParams(window.location.search).get('transport') || undefined,
+                // Signaling, ICE and relay servers from the settings panel or the URL
+                ...loadServerSettings(),
                 // Connect state updating
-                onStateChange: connectionStateChanged
+                onStateChange: connectionStateChanged,
+                // Ask for a password when a private room challenges us without one
+                onPasswordRequired: () => Promise.resolve(prompt('This room is password protected. Enter the password:'))
             });
+            
+            subscribeToConnection();
         }
         
-        // Check URL for invite
-        checkUrlForInvite(true);
+        // Room directory server from the settings panel or the URL, otherwise rooms stay in this browser
+        if (window.RoomDirectory) {
+            const result = window.RoomDirectory.configure({ directoryUrl: loadServerSettings().directoryUrl });
+            result.errors.forEach(error => console.warn(`[MentalPlayer] Ignoring room directory: ${error}`));
+        }
+        
+        // Follow the URL from here on (a saved session rejoins its room on its own)
+        routerStarted = true;
+        checkUrlForInvite(!getSavedSession());
         
         // Welcome notification
         showNotification('Welcome', 'Select a game to start playing!', 'success');
@@ -581,16 +923,17 @@ const MentalPlayer = (() => {
         
         if (state.user.name) {
             elements.playerDisplay.innerHTML = `
+                <span class="player-avatar">${state.user.avatar}</span>
                 <span>${state.user.name}</span>
-                <button id="change-name-button" class="small-button" title="Change Name">
+                <button id="edit-profile-button" class="small-button" title="Edit Profile">
                     <i class="fas fa-edit"></i>
                 </button>
             `;
             
-            // Add event listener for name change
-            const changeNameBtn = document.getElementById('change-name-button');
-            if (changeNameBtn) {
-                changeNameBtn.addEventListener('click', showChangeNameDialog);
+            // Add event listener for profile editing
+            const editProfileBtn = document.getElementById('edit-profile-button');
+            if (editProfileBtn) {
+                editProfileBtn.addEventListener('click', showProfileDialog);
             }
         } else {
             elements.playerDisplay.textContent = 'Not logged in';
@@ -598,30 +941,189 @@ const MentalPlayer = (() => {
     }
     
     /**
-     * Show dialog to change player name
+     * Show the profile dialog: name, avatar, color and preferences
      */
-    function showChangeNameDialog() {
+    function showProfileDialog() {
+        // Create modal from template
+        const template = document.getElementById('modal-template');
+        if (!template) return;
+        
+        const modal = template.content.cloneNode(true);
+        const modalEl = modal.querySelector('.modal');
+        const titleEl = modal.querySelector('.modal-title');
+        const bodyEl = modal.querySelector('.modal-body');
+        const buttonsEl = modal.querySelector('.modal-buttons');
+        
         // Don't allow name change while in a room
-        if (state.connection.status === 'connected') {
-            showNotification('Not Allowed', 'You cannot change your name while in a room', 'warning');
-            return;
-        }
+        const inRoom = state.connection.status === 'connected';
+        
+        // Set content
+        titleEl.textContent = 'Your Profile';
+        bodyEl.innerHTML = `
+            <label class="settings-label" for="profile-name">Name</label>
+            <input type="text" id="profile-name" maxlength="20">
+            ${inRoom ? '<p class="settings-hint">You can change your name once you leave the room.</p>' : ''}
+            
+            <label class="settings-label" for="profile-avatar">Avatar</label>
+            <input type="text" id="profile-avatar" maxlength="16" placeholder="None">
+            <div class="avatar-choices">
+                ${avatarChoices.map(choice => `<button type="button" class="avatar-choice">${choice}</button>`).join('')}
+            </div>
+            
+            <label class="settings-label" for="profile-color">Color</label>
+            <div class="profile-color">
+                <input type="color" id="profile-color">
+                <label><input type="checkbox" id="profile-color-auto"> Pick one for me</label>
+            </div>
+            
+            <label class="settings-label" for="profile-difficulty">Preferred difficulty</label>
+            <select id="profile-difficulty">
+                <option value="">Game default</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+            </select>
+            
+            <label class="settings-label" for="profile-theme">Theme</label>
+            <select id="profile-theme">
+                <option value="system">Same as device</option>
+                <option value="light">Light</option>
+                <option value="dark">Dark</option>
+            </select>
+            
+            <div class="settings-errors"></div>
+        `;
+        
+        const nameInput = bodyEl.querySelector('#profile-name');
+        const avatarInput = bodyEl.querySelector('#profile-avatar');
+        const colorInput = bodyEl.querySelector('#profile-color');
+        const colorAutoCheckbox = bodyEl.querySelector('#profile-color-auto');
+        const difficultySelect = bodyEl.querySelector('#profile-difficulty');
+        const themeSelect = bodyEl.querySelector('#profile-theme');
+        const errorsEl = bodyEl.querySelector('.settings-errors');
+        
+        nameInput.value = state.user.name;
+        nameInput.disabled = inRoom;
+        avatarInput.value = state.user.avatar;
+        colorInput.value = state.user.color || '#4a6fa5';
+        colorAutoCheckbox.checked = !state.user.color;
+        colorInput.disabled = colorAutoCheckbox.checked;
+        difficultySelect.value = state.user.difficulty;
+        themeSelect.value = state.user.theme;
+        
+        bodyEl.querySelectorAll('.avatar-choice').forEach(button => {
+            button.addEventListener('click', () => {
+                avatarInput.value = button.textContent;
+            });
+        });
+        
+        colorAutoCheckbox.addEventListener('change', () => {
+            colorInput.disabled = colorAutoCheckbox.checked;
+        });
         
-        const newName = prompt('Enter your new name:', state.user.name);
-        if (newName && newName.trim()) {
-            state.user.name = newName.trim();
+        // Show the theme straight away; Cancel puts the saved one back
+        themeSelect.addEventListener('change', () => applyTheme(themeSelect.value));
+        
+        const closeModal = () => {
+            modalEl.style.display = 'none';
+            setTimeout(() => modalEl.remove(), 300);
+        };
+        
+        // Add buttons
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'modal-button primary-button';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            const profile = {
+                name: nameInput.value.trim(),
+                avatar: avatarInput.value.trim(),
+                color: colorAutoCheckbox.checked ? '' : colorInput.value,
+                difficulty: difficultySelect.value,
+                theme: themeSelect.value
+            };
+            
+            const errors = validateProfile(profile);
+            if (errors.length > 0) {
+                errorsEl.innerHTML = errors.map(error => `<p>${error}</p>`).join('');
+                return;
+            }
+            
+            Object.assign(state.user, profile);
             saveUserData();
             updatePlayerDisplay();
+            applyTheme();
             
-            // Update name in connection manager
+            // Peers see the new name, color and avatar
             if (window.ConnectionManager && typeof window.ConnectionManager.updateUserInfo === 'function') {
                 window.ConnectionManager.updateUserInfo({
-                    userName: state.user.name
+                    userName: state.user.name,
+                    userColor: state.user.color,
+                    userAvatar: state.user.avatar
                 });
             }
             
-            showNotification('Name Updated', `Your name has been changed to ${state.user.name}`, 'success');
+            closeModal();
+            showNotification('Profile Saved', 'Your profile has been updated', 'success');
+        });
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'modal-button secondary-button';
+        closeBtn.textContent = 'Cancel';
+        closeBtn.addEventListener('click', () => {
+            applyTheme();
+            closeModal();
+        });
+        
+        buttonsEl.appendChild(saveBtn);
+        buttonsEl.appendChild(closeBtn);
+        
+        // Add to document and show
+        document.body.appendChild(modal);
+        modalEl.style.display = 'flex';
+    }
+    
+    /**
+     * Check profile fields before saving them
+     * @param {Object} profile { name, avatar, color, difficulty, theme }
+     * @returns {Array<string>} Problems found, empty if the profile is fine
+     */
+    function validateProfile(profile) {
+        const errors = [];
+        
+        if (!profile.name) {
+            errors.push('Please enter your name.');
         }
+        
+        // Peers drop avatars that are long or could be markup, so don't let one through
+        if (profile.avatar.length > 16 || /[<>&"'`]/.test(profile.avatar)) {
+            errors.push('Avatar must be a short emoji.');
+        }
+        
+        if (profile.color && !/^#[0-9a-f]{6}$/i.test(profile.color)) {
+            errors.push('Color must be a hex color like #4a6fa5.');
+        }
+        
+        if (!['', 'easy', 'medium', 'hard'].includes(profile.difficulty)) {
+            errors.push('Unknown difficulty.');
+        }
+        
+        if (!['system', 'light', 'dark'].includes(profile.theme)) {
+            errors.push('Unknown theme.');
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Switch the page between the light and dark theme
+     * @param {string} theme Optional theme to show instead of the profile's (light, dark or system)
+     */
+    function applyTheme(theme = state.user.theme) {
+        if (theme === 'system' || typeof theme !== 'string') {
+            theme = darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+        }
+        
+        document.documentElement.dataset.theme = theme;
     }
     
     /**
@@ -633,8 +1135,27 @@ const MentalPlayer = (() => {
             return;
         }
         
+        const password = elements.roomPasswordInput ? elements.roomPasswordInput.value : '';
+        const inviteOnly = elements.inviteOnlyCheckbox ? elements.inviteOnlyCheckbox.checked : false;
+        
+        // A code typed into the room box becomes the new room's code; otherwise one is generated
+        const code = elements.roomIdInput ? elements.roomIdInput.value.trim() : '';
+        if (code && window.ConnectionManager && !window.ConnectionManager.isRoomCode(code)) {
+            showNotification('Invalid Room Code', 'Room codes are two or more words of letters and numbers, like "brave-otter-maple"', 'warning');
+            return;
+        }
+        
+        // Nobody could join an invite-only room from the browser, so it's never listed
+        const listed = elements.listedCheckbox ? elements.listedCheckbox.checked : false;
+        state.listing = listed && !inviteOnly ? { password: !!password } : null;
+        
         if (window.ConnectionManager && typeof window.ConnectionManager.createRoom === 'function') {
-            window.ConnectionManager.createRoom();
+            window.ConnectionManager.createRoom({
+                code,
+                password,
+                inviteOnly,
+                encrypted: elements.encryptedCheckbox ? elements.encryptedCheckbox.checked : false
+            });
         } else {
             console.error('[MentalPlayer] ConnectionManager not available');
             showNotification('Error', 'Connection system not available. Please refresh the page', 'error');
@@ -652,12 +1173,17 @@ const MentalPlayer = (() => {
         
         const roomId = elements.roomIdInput ? elements.roomIdInput.value.trim() : '';
         if (!roomId) {
-            showNotification('Room ID Required', 'Please enter a Room ID to join', 'warning');
+            showNotification('Room Code Required', 'Please enter a room code or ID to join', 'warning');
             return;
         }
         
         if (window.ConnectionManager && typeof window.ConnectionManager.joinRoom === 'function') {
-            window.ConnectionManager.joinRoom(roomId);
+            window.ConnectionManager.joinRoom(roomId, {
+                password: elements.roomPasswordInput ? elements.roomPasswordInput.value : '',
+                token: state.invite.roomId === roomId ? state.invite.token : ''
+            }, {
+                spectator: elements.spectatorCheckbox ? elements.spectatorCheckbox.checked : false
+            });
         } else {
             console.error('[MentalPlayer] ConnectionManager not available');
             showNotification('Error', 'Connection system not available. Please refresh the page', 'error');
@@ -668,6 +1194,10 @@ const MentalPlayer = (() => {
      * Leave the current room
      */
     function leaveRoom() {
+        pendingRouteRoom = '';
+        state.listing = null;
+        updateRoomListing();
+        
         if (window.ConnectionManager && typeof window.ConnectionManager.leaveRoom === 'function') {
             window.ConnectionManager.leaveRoom();
         }
@@ -688,18 +1218,49 @@ const MentalPlayer = (() => {
         // Remove any existing parameters
         url.search = '';
         
-        // Add room ID
-        url.searchParams.set('room', state.connection.roomId);
+        // The route leads to the game and the room (by ID, which works even without a room code)
+        url.hash = buildRoute({ gameId: state.activeGame.id, roomId: state.connection.roomId });
         
-        // Add game ID
-        if (state.activeGame.id) {
-            url.searchParams.set('game', state.activeGame.id);
+        // Guests have to use the same transport to reach the room
+        const transport = window.ConnectionManager && window.ConnectionManager.state.transport;
+        if (transport && transport !== 'peerjs') {
+            url.searchParams.set('transport', transport);
+        }
+        
+        // Guests need our servers to find the room (and the relay to fall back to it)
+        const servers = window.ConnectionManager ? window.ConnectionManager.getServerSettings() : {};
+        if (servers.signalingUrl) {
+            url.searchParams.set('signal', servers.signalingUrl);
+        }
+        if (servers.iceServers) {
+            url.searchParams.set('ice', JSON.stringify(servers.iceServers));
+        }
+        if (servers.relayUrl) {
+            url.searchParams.set('relay', servers.relayUrl);
         }
         
         // Update invite link
         if (elements.inviteLink) {
             elements.inviteLink.value = url.toString();
         }
+        updateInviteQrCode(url.toString());
+        
+        // The code is easier to read out than the link
+        if (elements.inviteCode) {
+            elements.inviteCode.textContent = state.connection.roomCode;
+            elements.inviteCode.parentElement.style.display = state.connection.roomCode ? 'block' : 'none';
+        }
+        
+        // Private rooms need a signed token in the link to let the guest in
+        if (window.ConnectionManager && typeof window.ConnectionManager.createInviteToken === 'function') {
+            window.ConnectionManager.createInviteToken().then(token => {
+                if (token && elements.inviteLink) {
+                    url.searchParams.set('token', token);
+                    elements.inviteLink.value = url.toString();
+                    updateInviteQrCode(url.toString());
+                }
+            });
+        }
         
         // Show modal
         if (elements.inviteModal) {
@@ -707,6 +1268,18 @@ const MentalPlayer = (() => {
         }
     }
     
+    /**
+     * Draw the invite link as a QR code, so players nearby can scan it from their phones.
+     * It's generated here rather than by a web service, so the link never leaves the browser.
+     * @param {string} link Invite link
+     */
+    function updateInviteQrCode(link) {
+        if (!elements.inviteQr) return;
+        
+        const drawn = !!window.QRCode && window.QRCode.renderToCanvas(elements.inviteQr, link, { scale: 4 });
+        elements.inviteQr.parentElement.style.display = drawn ? 'block' : 'none';
+    }
+    
     /**
      * Copy the invite link to clipboard
      */
@@ -771,29 +1344,209 @@ const MentalPlayer = (() => {
     
     /**
      * Check URL for room invitation
-     * @param {boolean} autoJoin Whether to automatically join room if found
+     * @param {boolean} autoJoin Whether to go to the game and room in the URL
      */
     function checkUrlForInvite(autoJoin = false) {
-        const params = new URLSearchParams(window.location.search);
-        const roomId = params.get('room');
-        const gameId = params.get('game');
+        const route = parseRoute();
+        const token = new URLSearchParams(window.location.search).get('token');
         
         // Update room ID input if present
-        if (roomId && elements.roomIdInput) {
-            elements.roomIdInput.value = roomId;
+        if (route.roomId && elements.roomIdInput) {
+            elements.roomIdInput.value = route.roomId;
+        }
+        
+        // Keep the invite token for when we join that room
+        if (route.roomId && token) {
+            state.invite.roomId = route.roomId;
+            state.invite.token = token;
         }
         
-        // Load game if specified
-        if (gameId && autoJoin) {
-            loadGame(gameId);
+        if (autoJoin) {
+            applyRoute(route);
+        } else {
+            updateRoute(true);
+        }
+    }
+    
+    /**
+     * Read the route from the URL. Routes live in the hash, so links work on any static host:
+     *   #/                              game selection
+     *   #/game/<gameId>                 a game, outside a room
+     *   #/game/<gameId>/room/<roomId>   a game in a room (room ID or room code)
+     * Older invite links with ?game=&room= are understood too.
+     * @returns {Object} { view, gameId, roomId }
+     */
+    function parseRoute() {
+        const params = new URLSearchParams(window.location.search);
+        let gameId = params.get('game') || null;
+        let roomId = params.get('room') || '';
+        
+        let parts = [];
+        try {
+            parts = window.location.hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            console.warn('[MentalPlayer] Ignoring malformed route:', window.location.hash);
+        }
+        
+        if (parts.length > 0) {
+            gameId = parts[0] === 'game' && parts[1] ? parts[1] : null;
+            roomId = gameId && parts[2] === 'room' && parts[3] ? parts[3] : '';
+        }
+        
+        return {
+            view: gameId ? 'gameActive' : 'gameSelect',
+            gameId,
+            roomId
+        };
+    }
+    
+    /**
+     * Build the hash for a route
+     * @param {Object} route { gameId, roomId }
+     * @returns {string} Hash, empty for game selection
+     */
+    function buildRoute(route) {
+        if (!route.gameId) return '';
+        
+        let hash = `#/game/${encodeURIComponent(route.gameId)}`;
+        if (route.roomId) {
+            hash += `/room/${encodeURIComponent(route.roomId)}`;
+        }
+        
+        return hash;
+    }
+    
+    /**
+     * Put the current view, game and room in the URL
+     * @param {boolean} replace Replace the current history entry instead of adding one
+     */
+    function updateRoute(replace = false) {
+        if (!routerStarted || applyingRoute || !window.history || !window.history.pushState) return;
+        
+        const inView = state.ui.currentView === 'gameActive' && state.activeGame.id;
+        const roomId = state.connection.roomId ? state.connection.roomCode || state.connection.roomId : pendingRouteRoom;
+        
+        const url = new URL(window.location.href);
+        url.hash = buildRoute({ gameId: inView ? state.activeGame.id : null, roomId });
+        
+        // The route replaces the parameters of older invite links
+        url.searchParams.delete('game');
+        url.searchParams.delete('room');
+        
+        if (url.toString() === window.location.href) return;
+        
+        if (replace) {
+            window.history.replaceState(null, '', url.toString());
+        } else {
+            window.history.pushState(null, '', url.toString());
+        }
+    }
+    
+    /**
+     * Move the app to a route: open the game, and join the room once the connection is ready
+     * @param {Object} route Route from parseRoute()
+     */
+    function applyRoute(route) {
+        applyingRoute = true;
+        
+        try {
+            if (route.view === 'gameSelect') {
+                // Asks first if we're in a room
+                if (state.ui.currentView !== 'gameSelect') {
+                    showView('gameSelect');
+                }
+            } else if (route.gameId !== state.activeGame.id) {
+                if (state.connection.status === 'connected' && !state.connection.isHost) {
+                    showNotification('Not Allowed', 'Only the host can switch games', 'warning');
+                } else {
+                    loadGame(route.gameId);
+                }
+            }
             
-            // Join room after a delay to let game initialize
-            if (roomId) {
-                setTimeout(() => {
-                    joinRoom();
-                }, 1000);
+            if (route.roomId && route.gameId === state.activeGame.id && !isCurrentRoom(route.roomId)) {
+                if (state.connection.status === 'connected') {
+                    showNotification('Already in a Room', 'Leave your current room before joining another', 'warning');
+                } else {
+                    joinRouteRoom(route.roomId);
+                }
             }
+        } finally {
+            applyingRoute = false;
         }
+        
+        // Show where we actually ended up
+        updateRoute(true);
+    }
+    
+    /**
+     * Check whether a room ID or code from a URL is the room we're in
+     * @param {string} roomId Room ID or code
+     * @returns {boolean} True if it's our room
+     */
+    function isCurrentRoom(roomId) {
+        if (!state.connection.roomId) return false;
+        
+        return roomId === state.connection.roomId ||
+            roomId.toLowerCase() === state.connection.roomCode;
+    }
+    
+    /**
+     * Join a room from the URL as soon as the connection manager can
+     * @param {string} roomId Room ID or code
+     */
+    function joinRouteRoom(roomId) {
+        if (pendingRouteRoom === roomId) return;
+        pendingRouteRoom = roomId;
+        
+        const gameId = state.activeGame.id;
+        
+        whenConnectionReady().then(ready => {
+            // The player may have gone elsewhere meanwhile
+            if (pendingRouteRoom !== roomId) return;
+            
+            if (!ready || state.activeGame.id !== gameId) {
+                pendingRouteRoom = '';
+                updateRoute(true);
+                return;
+            }
+            
+            if (elements.roomIdInput) {
+                elements.roomIdInput.value = roomId;
+            }
+            joinRoom();
+        });
+    }
+    
+    /**
+     * Wait until the connection manager is ready to join a room
+     * @returns {Promise<boolean>} True once ready; false if we ended up in a room some other way
+     */
+    function whenConnectionReady() {
+        const connection = window.ConnectionManager;
+        if (!connection || typeof connection.on !== 'function') return Promise.resolve(false);
+        
+        return new Promise(resolve => {
+            // Returns true once the connection state settles the question
+            const settle = () => {
+                const { isReady, roomId, status } = connection.state;
+                
+                if (isReady || roomId || status === 'connecting') {
+                    resolve(isReady);
+                    return true;
+                }
+                
+                return false;
+            };
+            
+            if (settle()) return;
+            
+            // The status changes when the endpoint opens
+            const unsubscribe = connection.on('statusChanged', () => {
+                if (settle()) {
+                    unsubscribe();
+                }
+            });
+        });
     }
     
     /**
@@ -810,6 +1563,11 @@ const MentalPlayer = (() => {
             return;
         }
         
+        if (isSelfMuted()) {
+            showNotification('Muted', 'The host has muted you. Your messages will not be delivered.', 'warning');
+            return;
+        }
+        
         console.log('[MentalPlayer] Sending chat message:', message);
         
         // Send message via connection manager
@@ -817,6 +1575,10 @@ const MentalPlayer = (() => {
             window.ConnectionManager.sendData({
                 type: 'chat_message',
                 message: message
+            }).then(delivered => {
+                if (!delivered) {
+                    addChatMessage('system', '', 'Your last message may not have reached everyone');
+                }
             });
             
             // Add to local chat immediately (this is important)
@@ -894,8 +1656,14 @@ const MentalPlayer = (() => {
         // Update local state
         state.connection.status = connectionState.status;
         state.connection.roomId = connectionState.roomId;
+        state.connection.roomCode = connectionState.roomCode || '';
         state.connection.isHost = connectionState.isHost;
+        state.connection.isSpectator = !!connectionState.isSpectator;
         state.connection.peers = {...connectionState.peers};
+        state.connection.waiting = connectionState.waiting ? [...connectionState.waiting] : [];
+        state.connection.quality = connectionState.quality || {};
+        state.connection.encrypted = !!connectionState.encrypted;
+        state.connection.fingerprints = connectionState.fingerprints || {};
         
         // Update connection status display
         updateConnectionStatus();
@@ -905,6 +1673,25 @@ const MentalPlayer = (() => {
         
         // Update players list
         updatePlayersList();
+        updateWaitingList();
+        
+        // Reflect a mute from the host in the chat box
+        if (elements.chatInput) {
+            elements.chatInput.disabled = isSelfMuted();
+            elements.chatInput.placeholder = isSelfMuted() ? 'The host has muted you' : 'Type a message...';
+        }
+        
+        // A listing ends with the room, and only the host keeps it up
+        if (connectionState.status === 'disconnected' || connectionState.status === 'error') {
+            state.listing = null;
+        }
+        updateRoomListing();
+        
+        // A room from the URL is either joined or out of reach now
+        if (connectionState.status === 'connected' || connectionState.status === 'error') {
+            pendingRouteRoom = '';
+        }
+        updateRoute(true);
         
         // Update active game if needed
         if (state.activeGame.instance && typeof state.activeGame.instance.onConnectionStateChanged === 'function') {
@@ -934,10 +1721,15 @@ const MentalPlayer = (() => {
         
         if (state.connection.roomId) {
             elements.roomInfo.style.display = 'block';
-            elements.currentRoomId.textContent = state.connection.roomId;
+            elements.currentRoomId.textContent = state.connection.roomCode || state.connection.roomId;
+            elements.currentRoomId.title = `Room ID: ${state.connection.roomId}`;
         } else {
             elements.roomInfo.style.display = 'none';
         }
+        
+        if (elements.roomEncryption) {
+            elements.roomEncryption.style.display = state.connection.encrypted ? 'inline' : 'none';
+        }
     }
     
     /**
@@ -963,7 +1755,10 @@ const MentalPlayer = (() => {
         
         selfEl.innerHTML = `
             <div class="player-color" style="background-color: ${ownColor}"></div>
-            <span>${state.user.name} (You)${state.connection.isHost ? ' (Host)' : ''}</span>
+            <span class="player-avatar">${state.user.avatar}</span>
+            <span>${state.user.name} (You)${state.connection.isHost ? ' (Host)' : ''}${state.connection.isSpectator ? ' (Spectator)' : ''}${isSelfMuted() ? ' (Muted)' : ''}</span>
+            ${renderQualityIndicator(state.user.id)}
+            ${renderFingerprint(state.user.id)}
         `;
         elements.playersContainer.appendChild(selfEl);
         
@@ -976,12 +1771,142 @@ const MentalPlayer = (() => {
             peerEl.className = 'player';
             peerEl.innerHTML = `
                 <div class="player-color" style="background-color: ${peer.color || '#808080'}"></div>
-                <span>${peer.name}${peer.isHost ? ' (Host)' : ''}</span>
+                <span class="player-avatar">${peer.avatar || ''}</span>
+                <span>${peer.name}${peer.isHost ? ' (Host)' : ''}${peer.spectator ? ' (Spectator)' : ''}${peer.muted ? ' (Muted)' : ''}</span>
+                ${renderQualityIndicator(peer.id)}
+                ${renderFingerprint(peer.id)}
             `;
+            
+            // The host gets moderation controls on every other player
+            if (state.connection.isHost) {
+                peerEl.appendChild(createModerationActions(peer));
+            }
+            
             elements.playersContainer.appendChild(peerEl);
         });
     }
     
+    /**
+     * Render the connection quality icon for a player row
+     * @param {string} peerId Player ID
+     * @returns {string} Indicator HTML, empty if the link hasn't been measured
+     */
+    function renderQualityIndicator(peerId) {
+        const link = state.connection.quality && state.connection.quality[peerId];
+        if (!link) return '';
+        
+        const details = link.rtt === null
+            ? 'No response yet'
+            : `${link.rtt} ms round trip, ${link.jitter} ms jitter${link.missed ? `, ${link.missed} missed heartbeats` : ''}`;
+        
+        return `<i class="fas fa-signal quality-indicator quality-${link.quality}" title="Connection ${link.quality}: ${details}"></i>`;
+    }
+    
+    /**
+     * Render the key fingerprint for a player row in an encrypted room
+     * @param {string} peerId Player ID
+     * @returns {string} Fingerprint HTML, empty if the room isn't encrypted
+     */
+    function renderFingerprint(peerId) {
+        const fingerprint = state.connection.encrypted && state.connection.fingerprints[peerId];
+        if (!fingerprint) return '';
+        
+        return `<span class="player-fingerprint" title="Verification code: it should match the code this player sees next to their own name">${fingerprint}</span>`;
+    }
+    
+    /**
+     * Update the seat count and the queue of players waiting for a seat
+     */
+    function updateWaitingList() {
+        const game = state.activeGame.id && window.GameRegistry ? window.GameRegistry.getGameMetadata(state.activeGame.id) : null;
+        
+        if (elements.seatCount) {
+            const players = Object.values(state.connection.peers).filter(peer => !peer.spectator).length;
+            let text = '';
+            
+            if (state.connection.roomId && game) {
+                text = game.maxPlayers ? `(${players}/${game.maxPlayers})` : `(${players})`;
+                if (players < game.minPlayers) {
+                    text += ` - needs ${game.minPlayers - players} more`;
+                }
+            }
+            
+            elements.seatCount.textContent = text;
+        }
+        
+        if (!elements.waitingContainer || !elements.waitingPlayers) return;
+        
+        const waiting = state.connection.waiting || [];
+        elements.waitingContainer.style.display = waiting.length > 0 ? 'block' : 'none';
+        elements.waitingPlayers.innerHTML = '';
+        
+        waiting.forEach(entry => {
+            const itemEl = document.createElement('li');
+            itemEl.textContent = entry.id === state.user.id ? `${entry.name} (You)` : entry.name;
+            elements.waitingPlayers.appendChild(itemEl);
+        });
+    }
+    
+    /**
+     * Create the host's moderation buttons for a player row
+     * @param {Object} peer Peer information
+     * @returns {HTMLElement} Button container
+     */
+    function createModerationActions(peer) {
+        const actionsEl = document.createElement('div');
+        actionsEl.className = 'player-actions';
+        
+        const actions = [
+            {
+                icon: peer.muted ? 'fa-volume-up' : 'fa-volume-mute',
+                title: peer.muted ? 'Unmute' : 'Mute chat',
+                run: () => ConnectionManager.mutePeer(peer.id, !peer.muted)
+            },
+            {
+                icon: 'fa-crown',
+                title: 'Make host',
+                confirm: `Make ${peer.name} the host? You will stay in the room as a player.`,
+                run: () => ConnectionManager.transferHost(peer.id)
+            },
+            {
+                icon: 'fa-sign-out-alt',
+                title: 'Kick',
+                confirm: `Remove ${peer.name} from the room?`,
+                run: () => ConnectionManager.kickPeer(peer.id)
+            },
+            {
+                icon: 'fa-ban',
+                title: 'Ban',
+                confirm: `Ban ${peer.name}? They will not be able to rejoin this session.`,
+                run: () => ConnectionManager.banPeer(peer.id)
+            }
+        ];
+        
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = 'player-action';
+            button.title = action.title;
+            button.innerHTML = `<i class="fas ${action.icon}"></i>`;
+            button.addEventListener('click', () => {
+                if (!window.ConnectionManager) return;
+                if (action.confirm && !confirm(action.confirm)) return;
+                action.run();
+            });
+            actionsEl.appendChild(button);
+        });
+        
+        return actionsEl;
+    }
+    
+    /**
+     * Check whether the host has muted us
+     * @returns {boolean} True if muted
+     */
+    function isSelfMuted() {
+        const self = state.connection.peers && state.connection.peers[state.user.id];
+        return !!(self && self.muted);
+    }
+    
     /**
      * Show privacy policy modal
      */
@@ -1074,6 +1999,131 @@ const MentalPlayer = (() => {
         modalEl.style.display = 'flex';
     }
     
+    /**
+     * Show server settings modal
+     */
+    function showServerSettings() {
+        // Create modal from template
+        const template = document.getElementById('modal-template');
+        if (!template) return;
+        
+        const modal = template.content.cloneNode(true);
+        const modalEl = modal.querySelector('.modal');
+        const titleEl = modal.querySelector('.modal-title');
+        const bodyEl = modal.querySelector('.modal-body');
+        const buttonsEl = modal.querySelector('.modal-buttons');
+        
+        const current = window.ConnectionManager ? window.ConnectionManager.getServerSettings() : {};
+        
+        // Set content
+        titleEl.textContent = 'Server Settings';
+        bodyEl.innerHTML = `
+            <p>Point Mentalplayer at your own servers. Leave a field empty to use the default.</p>
+            
+            <label class="settings-label" for="settings-signaling">Signaling server (PeerServer)</label>
+            <input type="text" id="settings-signaling" placeholder="https://peer.example.com:9000/myapp?key=peerjs">
+            
+            <label class="settings-label" for="settings-ice">STUN/TURN servers (JSON)</label>
+            <textarea id="settings-ice" class="settings-textarea" rows="6" placeholder='[{ "urls": "turn:turn.example.com:3478", "username": "user", "credential": "secret" }]'></textarea>
+            
+            <label class="settings-label" for="settings-relay">Relay server</label>
+            <input type="text" id="settings-relay" placeholder="wss://relay.example.com">
+            
+            <label class="settings-label" for="settings-directory">Room directory</label>
+            <input type="text" id="settings-directory" placeholder="https://rooms.example.com">
+            
+            <div class="settings-errors"></div>
+        `;
+        
+        const signalingInput = bodyEl.querySelector('#settings-signaling');
+        const iceInput = bodyEl.querySelector('#settings-ice');
+        const relayInput = bodyEl.querySelector('#settings-relay');
+        const directoryInput = bodyEl.querySelector('#settings-directory');
+        const errorsEl = bodyEl.querySelector('.settings-errors');
+        
+        signalingInput.value = current.signalingUrl || '';
+        iceInput.value = current.iceServers ? JSON.stringify(current.iceServers, null, 2) : '';
+        relayInput.value = current.relayUrl || '';
+        directoryInput.value = loadServerSettings().directoryUrl || '';
+        
+        const closeModal = () => {
+            modalEl.style.display = 'none';
+            setTimeout(() => modalEl.remove(), 300);
+        };
+        
+        // Apply settings, keeping the modal open with the problems listed if they're invalid
+        const applySettings = settings => {
+            if (!window.ConnectionManager) return;
+            
+            // Without a directory server, rooms are only listed in this browser
+            if (window.RoomDirectory) {
+                const directoryResult = window.RoomDirectory.configure({ directoryUrl: settings.directoryUrl });
+                if (!directoryResult.valid) {
+                    errorsEl.innerHTML = directoryResult.errors.map(error => `<p>${error}</p>`).join('');
+                    return;
+                }
+            }
+            
+            const result = window.ConnectionManager.configureServers(settings);
+            if (!result.valid) {
+                errorsEl.innerHTML = result.errors.map(error => `<p>${error}</p>`).join('');
+                return;
+            }
+            
+            saveServerSettings(settings);
+            closeModal();
+            showNotification('Settings Saved', 'Reconnecting with the new servers', 'success');
+        };
+        
+        // Add buttons
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'modal-button primary-button';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            let iceServers = null;
+            if (iceInput.value.trim()) {
+                try {
+                    iceServers = JSON.parse(iceInput.value);
+                } catch (error) {
+                    errorsEl.innerHTML = '<p>STUN/TURN servers must be valid JSON.</p>';
+                    return;
+                }
+            }
+            
+            applySettings({
+                signalingUrl: signalingInput.value.trim(),
+                iceServers,
+                relayUrl: relayInput.value.trim(),
+                directoryUrl: directoryInput.value.trim()
+            });
+        });
+        
+        const resetBtn = document.createElement('button');
+        resetBtn.className = 'modal-button secondary-button';
+        resetBtn.textContent = 'Use Defaults';
+        resetBtn.addEventListener('click', () => {
+            applySettings({
+                signalingUrl: '',
+                iceServers: null,
+                relayUrl: '',
+                directoryUrl: ''
+            });
+        });
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'modal-button secondary-button';
+        closeBtn.textContent = 'Cancel';
+        closeBtn.addEventListener('click', closeModal);
+        
+        buttonsEl.appendChild(saveBtn);
+        buttonsEl.appendChild(resetBtn);
+        buttonsEl.appendChild(closeBtn);
+        
+        // Add to document and show
+        document.body.appendChild(modal);
+        modalEl.style.display = 'flex';
+    }
+    
     /**
      * Show notification
      * @param {string} title Notification title
@@ -1129,31 +2179,157 @@ const MentalPlayer = (() => {
     }
     
     /**
-     * Save user data to localStorage
+     * Get the saved connection session, if any
+     * @returns {Object|null} Session token or null
+     */
+    function getSavedSession() {
+        if (window.ConnectionManager && typeof window.ConnectionManager.getSavedSession === 'function') {
+            return window.ConnectionManager.getSavedSession();
+        }
+        return null;
+    }
+    
+    /**
+     * Save the player's profile to localStorage
      */
     function saveUserData() {
         if (window.localStorage) {
-            localStorage.setItem('mentalplayer_username', state.user.name);
+            const { profileId, name, color, avatar, difficulty, theme } = state.user;
+            localStorage.setItem('mentalplayer_profile', JSON.stringify({ id: profileId, name, color, avatar, difficulty, theme }));
         }
     }
     
     /**
-     * Load user data from localStorage
+     * Save server settings to localStorage
+     * @param {Object} settings { signalingUrl, iceServers, relayUrl, directoryUrl }
      */
-    function loadUserData() {
+    function saveServerSettings(settings) {
         if (window.localStorage) {
-            const savedName = localStorage.getItem('mentalplayer_username');
-            if (savedName) {
-                state.user.name = savedName;
-                
-                // Auto-fill name input
-                if (elements.playerNameInput) {
-                    elements.playerNameInput.value = savedName;
-                }
+            localStorage.setItem('mentalplayer_servers', JSON.stringify(settings));
+        }
+    }
+    
+    /**
+     * Load server settings, with URL parameters (from an invite link) taking precedence over saved ones
+     * @returns {Object} { signalingUrl, iceServers, relayUrl, directoryUrl }; missing entries use the defaults
+     */
+    function loadServerSettings() {
+        let settings = {};
+        
+        if (window.localStorage) {
+            try {
+                settings = JSON.parse(localStorage.getItem('mentalplayer_servers')) || {};
+            } catch (error) {
+                console.warn('[MentalPlayer] Ignoring unreadable server settings');
+            }
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        
+        if (params.get('signal')) {
+            settings.signalingUrl = params.get('signal');
+        }
+        
+        if (params.get('ice')) {
+            try {
+                settings.iceServers = JSON.parse(params.get('ice'));
+            } catch (error) {
+                // Let the connection manager's validation report it
+                settings.iceServers = params.get('ice');
+            }
+        }
+        
+        if (params.get('relay')) {
+            settings.relayUrl = params.get('relay');
+        }
+        
+        if (params.get('directory')) {
+            settings.directoryUrl = params.get('directory');
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * Load the player's profile from localStorage, creating one on the first visit
+     */
+    function loadUserData() {
+        if (!window.localStorage) {
+            state.user.profileId = generateId();
+            return;
+        }
+        
+        let profile = null;
+        try {
+            profile = JSON.parse(localStorage.getItem('mentalplayer_profile'));
+        } catch (error) {
+            console.warn('[MentalPlayer] Ignoring unreadable profile');
+        }
+        
+        // Earlier versions only kept the name
+        if (!profile) {
+            profile = { name: localStorage.getItem('mentalplayer_username') || '' };
+        }
+        
+        const fields = {
+            name: typeof profile.name === 'string' ? profile.name : '',
+            avatar: typeof profile.avatar === 'string' ? profile.avatar : '',
+            color: typeof profile.color === 'string' ? profile.color : '',
+            difficulty: typeof profile.difficulty === 'string' ? profile.difficulty : '',
+            theme: typeof profile.theme === 'string' ? profile.theme : 'system'
+        };
+        
+        // A damaged field falls back to its default rather than losing the whole profile
+        const defaults = { name: 'x', avatar: '', color: '', difficulty: '', theme: 'system' };
+        ['avatar', 'color', 'difficulty', 'theme'].forEach(field => {
+            if (validateProfile({ ...defaults, [field]: fields[field] }).length > 0) {
+                fields[field] = defaults[field];
             }
+        });
+        
+        Object.assign(state.user, fields);
+        state.user.profileId = typeof profile.id === 'string' && profile.id ? profile.id : generateId();
+        
+        // Keep the new profile ID, and move an old saved name over
+        saveUserData();
+        localStorage.removeItem('mentalplayer_username');
+        
+        // Auto-fill name input
+        if (state.user.name && elements.playerNameInput) {
+            elements.playerNameInput.value = state.user.name;
         }
     }
     
+    /**
+     * Route room messages from the connection manager to the chat and the active game
+     */
+    function subscribeToConnection() {
+        const connection = window.ConnectionManager;
+        if (typeof connection.on !== 'function') return;
+        
+        connection.on('message:chat_message', ({ senderId, data }) => {
+            const sender = state.connection.peers[senderId];
+            addChatMessage(senderId, sender ? sender.name : 'Unknown User', data.message);
+        });
+        
+        connection.on('message:game_switch', ({ data }) => {
+            if (data.gameId) {
+                loadGame(data.gameId);
+            }
+        });
+        
+        connection.on('message:game_data', ({ peerId, data }) => {
+            handleGameMessage(peerId, data);
+        });
+        
+        connection.on('message:ephemeral', ({ senderId, data }) => {
+            const game = state.activeGame.instance;
+            if (data.gameId !== state.activeGame.id || !game || typeof game.handleEphemeral !== 'function') return;
+            
+            game.handleEphemeral(senderId, data.kind, data.data);
+        });
+    }
+    
     /**
      * Handle game message from peers
      * @param {string} peerId ID of the sending peer
@@ -0,0 +1,98 @@
+/**
+ * HTTP Room Directory for MentalPlayer
+ * Lists rooms on a directory server (see server/directory.js), so anyone
+ * using the same server can browse them
+ *
+ * @version 1.0.0
+ */
+
+const HttpDirectory = (() => {
+    // Give up on a slow server rather than leave the browser spinning
+    const requestTimeout = 8000;
+    
+    /**
+     * Check whether the browser can make requests
+     * @returns {boolean} True if fetch is available
+     */
+    function isAvailable() {
+        return typeof window.fetch === 'function';
+    }
+    
+    /**
+     * Make a JSON request to the directory server
+     * @param {Object} options { url } of the server
+     * @param {string} method HTTP method
+     * @param {string} path Path under the server URL
+     * @param {Object} body Optional JSON body
+     * @returns {Promise<Object|null>} Parsed response, null if it had no body
+     */
+    function request(options, method, path, body) {
+        if (!options.url) {
+            return Promise.reject(new Error('No directory server configured'));
+        }
+        
+        const url = options.url.replace(/\/+$/, '') + path;
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), requestTimeout) : null;
+        
+        return fetch(url, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            signal: controller ? controller.signal : undefined
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Directory server answered ${response.status}`);
+                }
+                return response.status === 204 ? null : response.json();
+            })
+            .finally(() => clearTimeout(timeoutId));
+    }
+    
+    /**
+     * Add or refresh a listing
+     * @param {Object} listing Listing to publish
+     * @param {string} key Owner key; the server only lets the same key change it
+     * @param {Object} options { url }
+     * @returns {Promise} Resolves once stored
+     */
+    function publish(listing, key, options = {}) {
+        return request(options, 'PUT', `/rooms/${encodeURIComponent(listing.roomId)}`, { listing, key });
+    }
+    
+    /**
+     * Remove a listing
+     * @param {string} roomId Room to remove
+     * @param {string} key Owner key
+     * @param {Object} options { url }
+     * @returns {Promise} Resolves once removed
+     */
+    function withdraw(roomId, key, options = {}) {
+        return request(options, 'DELETE', `/rooms/${encodeURIComponent(roomId)}`, { key });
+    }
+    
+    /**
+     * Fetch every listing on the server
+     * @param {Object} options { url }
+     * @returns {Promise<Array<Object>>} Listings
+     */
+    function list(options = {}) {
+        return request(options, 'GET', '/rooms').then(response => (response && response.rooms) || []);
+    }
+    
+    return {
+        name: 'Directory server',
+        isAvailable,
+        publish,
+        withdraw,
+        list
+    };
+})();
+
+// Register with RoomDirectory if available
+if (window.RoomDirectory) {
+    RoomDirectory.registerDirectory('http', HttpDirectory);
+} else {
+    console.warn('[HttpDirectory] RoomDirectory not available, directory not registered');
+}
@@ -0,0 +1,128 @@
+/**
+ * Local Room Directory for MentalPlayer
+ * Keeps listings in localStorage, which other tabs hear about through storage
+ * events, so rooms can be browsed without a directory server. Only tabs of the same
+ * browser see each other's rooms; pair it with ?transport=broadcast for
+ * same-machine play or for trying the room browser out.
+ *
+ * @version 1.0.0
+ */
+
+const LocalDirectory = (() => {
+    const storageKey = 'mentalplayer_rooms';
+    
+    // Listings not refreshed for this long belong to tabs that closed without withdrawing them
+    const staleAfter = 30000;
+    
+    // Keys that own our listings, by roomId, so other tabs can't remove them
+    const ownedKeys = {};
+    
+    /**
+     * Check whether the browser can store listings
+     * @returns {boolean} True if localStorage is available
+     */
+    function isAvailable() {
+        return !!window.localStorage;
+    }
+    
+    /**
+     * Read every stored listing
+     * @returns {Object} Listings by roomId
+     */
+    function readListings() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    /**
+     * Store the listings; other tabs get a storage event
+     * @param {Object} listings Listings by roomId
+     */
+    function writeListings(listings) {
+        localStorage.setItem(storageKey, JSON.stringify(listings));
+    }
+    
+    /**
+     * Add or refresh a listing
+     * @param {Object} listing Listing to store
+     * @param {string} key Owner key
+     */
+    function publish(listing, key) {
+        const listings = readListings();
+        Object.keys(listings).forEach(roomId => {
+            if (!isFresh(listings[roomId])) {
+                delete listings[roomId];
+            }
+        });
+        
+        listings[listing.roomId] = listing;
+        ownedKeys[listing.roomId] = key;
+        
+        writeListings(listings);
+    }
+    
+    /**
+     * Remove one of our listings
+     * @param {string} roomId Room to remove
+     * @param {string} key Owner key
+     */
+    function withdraw(roomId, key) {
+        if (ownedKeys[roomId] !== key) return;
+        delete ownedKeys[roomId];
+        
+        const listings = readListings();
+        delete listings[roomId];
+        
+        writeListings(listings);
+    }
+    
+    /**
+     * Check whether a listing's tab is still refreshing it
+     * @param {Object} listing Stored listing
+     * @returns {boolean} True if it was refreshed recently
+     */
+    function isFresh(listing) {
+        return !!listing && listing.updatedAt > Date.now() - staleAfter;
+    }
+    
+    /**
+     * Get every listing that is still being refreshed
+     * @returns {Array<Object>} Listings
+     */
+    function list() {
+        return Object.values(readListings()).filter(isFresh);
+    }
+    
+    /**
+     * Watch for listings changed by other tabs
+     * @param {Function} handler Called on changes
+     * @returns {Function} Unsubscribe
+     */
+    function watch(handler) {
+        const onStorage = event => {
+            if (event.key === storageKey) handler();
+        };
+        window.addEventListener('storage', onStorage);
+        
+        return () => window.removeEventListener('storage', onStorage);
+    }
+    
+    return {
+        name: 'This browser',
+        isAvailable,
+        publish,
+        withdraw,
+        list,
+        watch
+    };
+})();
+
+// Register with RoomDirectory if available
+if (window.RoomDirectory) {
+    RoomDirectory.registerDirectory('local', LocalDirectory);
+} else {
+    console.warn('[LocalDirectory] RoomDirectory not available, directory not registered');
+}
@@ -22,6 +22,7 @@ const GameRegistry = (() => {
         'setupControls',           // Set up game-specific controls
         'getState',                // Get current game state for sharing
         'setState',                // Set game state from received data
+        'handleEphemeral',         // Handle unreliable messages sent with sendEphemeral
         'cleanup'                  // Clean up resources when game is unloaded
     ];
     
@@ -57,6 +58,10 @@ const GameRegistry = (() => {
             name: gameModule.name || id,
             description: gameModule.description || 'A multiplayer puzzle game',
             icon: gameModule.icon || '🎮',
+            orderedActions: Array.isArray(gameModule.orderedActions) ? [...gameModule.orderedActions] : null,
+            minPlayers: Number.isInteger(gameModule.minPlayers) && gameModule.minPlayers > 0 ? gameModule.minPlayers : 1,
+            maxPlayers: Number.isInteger(gameModule.maxPlayers) && gameModule.maxPlayers > 0 ? gameModule.maxPlayers : null,
+            messageSchemas: gameModule.messageSchemas && typeof gameModule.messageSchemas === 'object' ? { ...gameModule.messageSchemas } : null,
             module: gameModule,
             timestamp: Date.now()
         };
@@ -153,6 +158,19 @@ const GameRegistry = (() => {
             description: 'A multiplayer puzzle game',
             icon: '🎮',
             
+            // Actions the host must relay in order when the room uses a mesh
+            // topology; null treats every action as ordering-sensitive
+            orderedActions: null,
+            
+            // Players needed to start and seats per room; spectators don't count,
+            // and players beyond maxPlayers (null for no limit) wait in a queue
+            minPlayers: 1,
+            maxPlayers: null,
+            
+            // Field specs (see MessageSchemas) for each action's game data; peers
+            // drop actions that don't match or aren't listed. null skips checking
+            messageSchemas: null,
+            
             // Required methods
             init: function(container, context) {
                 console.log(`[${id}] Initializing game`);
@@ -191,6 +209,10 @@ const GameRegistry = (() => {
                 // Set game state from received data
             },
             
+            handleEphemeral: function(peerId, type, data) {
+                // Called often; these may arrive out of order or not at all
+            },
+            
             cleanup: function() {
                 console.log(`[${id}] Cleaning up resources`);
                 // Clean up resources when game is unloaded
@@ -149,7 +149,43 @@ const MinesweeperGame = (() => {
         id: 'minesweeper',
         name: 'Minesweeper',
         description: 'Classic puzzle game with multiplayer collaboration',
-        icon: '💣'
+        icon: '💣',
+        
+        // Board changes must reach everyone in the same order, so every
+        // action goes through the host in mesh rooms
+        orderedActions: [
+            'cell_click',
+            'cell_flag',
+            'game_started',
+            'mines_placed',
+            'game_over',
+            'reset',
+            'difficulty_changed',
+            'game_state'
+        ],
+        
+        // A shared board gets crowded; later arrivals wait for a seat
+        minPlayers: 1,
+        maxPlayers: 6,
+        
+        // Shape of each action, so a bad peer can't feed the board garbage
+        messageSchemas: {
+            cell_click: { row: 'integer', col: 'integer' },
+            cell_flag: { row: 'integer', col: 'integer', flagged: 'boolean' },
+            game_started: { startTime: 'number?' },
+            mines_placed: { mines: [{ row: 'integer', col: 'integer' }] },
+            game_over: { won: 'boolean', timer: 'number', playerId: 'string?' },
+            reset: { difficulty: 'string?' },
+            difficulty_changed: { difficulty: 'string' },
+            game_state: {
+                difficulty: 'string',
+                rows: 'integer',
+                cols: 'integer',
+                mines: 'array',
+                flagged: 'array',
+                revealedCells: 'array'
+            }
+        }
     };
     
     // Game state
@@ -167,6 +203,7 @@ const MinesweeperGame = (() => {
         mineCount: 40,
         remainingMines: 40,
         timer: 0,
+        startTime: null,   // Room clock time the game started at
         timerInterval: null,
         playerActions: {}, // Track actions by player ID
         container: null,
@@ -192,6 +229,13 @@ const MinesweeperGame = (() => {
         }
     };
     
+    // Presets for the difficulty players prefer in their profile
+    const preferredPresets = {
+        easy: 'beginner',
+        medium: 'intermediate',
+        hard: 'expert'
+    };
+    
     // Element references
     let elements = {
         board: null,
@@ -220,6 +264,12 @@ const MinesweeperGame = (() => {
         // Set up event listeners for game controls
         setupEventListeners();
         
+        // Start on the player's preferred difficulty; in a room the host's board replaces it
+        const preferred = context.preferences && preferredPresets[context.preferences.difficulty];
+        if (preferred) {
+            state.difficulty = preferred;
+        }
+        
         // Initialize game based on current difficulty
         applyDifficulty(state.difficulty);
         resetGame();
@@ -403,6 +453,7 @@ const MinesweeperGame = (() => {
         // Reset timer
         stopTimer();
         state.timer = 0;
+        state.startTime = null;
         updateTimerDisplay();
         
         // Reset mine counter
@@ -454,6 +505,8 @@ const MinesweeperGame = (() => {
             }
         }
         
+        elements.board.classList.toggle('spectating', isSpectator());
+        
         console.log(`[Minesweeper] Created board: ${state.rows}x${state.cols}`);
     }
     
@@ -530,11 +583,24 @@ const MinesweeperGame = (() => {
         return count;
     }
     
+    /**
+     * Check whether we're only watching the game
+     * @returns {boolean} True if we joined as a spectator
+     */
+    function isSpectator() {
+        return !!(state.context && state.context.isSpectator);
+    }
+    
     /**
      * Handle cell click (reveal)
      * @param {Event} event Click event
      */
     function handleCellClick(event) {
+        // Spectators watch without playing
+        if (isSpectator()) {
+            return;
+        }
+        
         const cell = event.target;
         const row = parseInt(cell.dataset.row);
         const col = parseInt(cell.dataset.col);
@@ -561,6 +627,11 @@ const MinesweeperGame = (() => {
     function handleCellRightClick(event) {
         event.preventDefault(); // Prevent context menu
         
+        // Spectators watch without playing
+        if (isSpectator()) {
+            return;
+        }
+        
         const cell = event.target;
         const row = parseInt(cell.dataset.row);
         const col = parseInt(cell.dataset.col);
@@ -735,31 +806,45 @@ const MinesweeperGame = (() => {
         }
         
         state.gameStarted = true;
-        startTimer();
+        startTimer(getRoomTime());
         
-        // Notify peers that game has started
-        sendGameAction('game_started');
+        // Notify peers that game has started, and when, so all timers count from the same moment
+        sendGameAction('game_started', {
+            startTime: state.startTime
+        });
         
         console.log('[Minesweeper] Game started');
     }
     
     /**
-     * Start game timer
+     * Start game timer. The time shown is derived from the shared room clock,
+     * so every player's timer reads the same without periodic syncing.
+     * @param {number} [startTime] Room time the game started at; defaults to resuming from state.timer
      */
-    function startTimer() {
+    function startTimer(startTime = getRoomTime() - state.timer * 1000) {
         if (state.timerInterval) {
             clearInterval(state.timerInterval);
         }
         
-        state.timerInterval = setInterval(() => {
-            state.timer++;
+        state.startTime = startTime;
+        
+        const tick = () => {
+            state.timer = Math.max(0, Math.floor((getRoomTime() - state.startTime) / 1000));
             updateTimerDisplay();
-            
-            // Sync timer with peers occasionally (host only)
-            if (state.timer % 5 === 0 && state.context && state.context.connection && state.context.connection.state.isHost) {
-                sendGameAction('timer_sync', { timer: state.timer });
-            }
-        }, 1000);
+        };
+        
+        tick();
+        
+        // Tick faster than once a second so the display turns over close to the real second
+        state.timerInterval = setInterval(tick, 250);
+    }
+    
+    /**
+     * Get the current time on the room clock
+     * @returns {number} Room time in milliseconds
+     */
+    function getRoomTime() {
+        return state.context && typeof state.context.getRoomTime === 'function' ? state.context.getRoomTime() : Date.now();
     }
     
     /**
@@ -1007,10 +1092,8 @@ const MinesweeperGame = (() => {
 
             case 'game_started':
                 state.gameStarted = true;
-                // Start timer if not host
-                if (state.context && state.context.connection && !state.context.connection.state.isHost) {
-                    startTimer();
-                }
+                // Count from the moment the game started on the room clock
+                startTimer(typeof gameData.startTime === 'number' ? gameData.startTime : undefined);
                 break;
             
             case 'mines_placed':
@@ -1037,14 +1120,6 @@ const MinesweeperGame = (() => {
                 }
                 break;
             
-            case 'timer_sync':
-                // Update timer if we're not the host
-                if (state.context && state.context.connection && !state.context.connection.state.isHost) {
-                    state.timer = data.timer;
-                    updateTimerDisplay();
-                }
-                break;
-            
             case 'game_over':
                 // Only handle if game not already over
                 if (!state.gameOver) {
@@ -1110,6 +1185,11 @@ const MinesweeperGame = (() => {
     function onConnectionStateChanged(connectionState) {
         console.log(`[Minesweeper] Connection state changed: ${connectionState.status}`);
         
+        // Joining or leaving as a spectator changes whether the board is playable
+        if (elements.board) {
+            elements.board.classList.toggle('spectating', isSpectator());
+        }
+        
         // If we just connected and we're the host, send game state to peers
         if (connectionState.status === 'connected' && connectionState.isHost && state.gameStarted) {
             // Send current game state after a short delay to ensure peer is ready
@@ -1135,6 +1215,7 @@ const MinesweeperGame = (() => {
             mineCount: state.mineCount,
             remainingMines: state.remainingMines,
             timer: state.timer,
+            startTime: state.startTime,
             gameStarted: state.gameStarted,
             gameOver: state.gameOver,
             gameWon: state.gameWon,
@@ -1174,6 +1255,7 @@ const MinesweeperGame = (() => {
             mineCount: state.mineCount,
             remainingMines: state.remainingMines,
             timer: state.timer,
+            startTime: state.startTime,
             gameStarted: state.gameStarted,
             gameOver: state.gameOver,
             gameWon: state.gameWon,
@@ -1196,6 +1278,9 @@ const MinesweeperGame = (() => {
             applyDifficulty(gameState.difficulty);
         }
         
+        // Reset board before applying the snapshot (resetGame clears mines and stats)
+        resetGame();
+        
         state.mineCount = gameState.mineCount || state.mineCount;
         state.remainingMines = gameState.remainingMines || state.remainingMines;
         state.timer = gameState.timer || 0;
@@ -1206,9 +1291,6 @@ const MinesweeperGame = (() => {
         state.flagged = gameState.flagged || [];
         state.playerActions = gameState.playerActions || {};
         
-        // Reset board
-        resetGame();
-        
         // Process mines
         state.mines.forEach(mine => {
             if (mine.row < state.rows && mine.col < state.cols) {
@@ -1277,7 +1359,7 @@ const MinesweeperGame = (() => {
         
         // Start timer if game is in progress
         if (state.gameStarted && !state.gameOver) {
-            startTimer();
+            startTimer(typeof gameState.startTime === 'number' ? gameState.startTime : undefined);
         }
     }
     
@@ -1310,6 +1392,7 @@ const MinesweeperGame = (() => {
             mineCount: 40,
             remainingMines: 40,
             timer: 0,
+            startTime: null,
             timerInterval: null,
             playerActions: {},
             container: null,
@@ -0,0 +1,445 @@
+/**
+ * Message Codec for MentalPlayer
+ * Packs messages into a compact binary form for large transfers such as
+ * full game states, with optional deflate compression on top
+ *
+ * Encoding: every value starts with a one-byte tag. Integers are varints
+ * (negative ones under their own tag), strings are length-prefixed UTF-8, and object
+ * keys are sent once and then referred to by index. Arrays of { row, col }
+ * cells, the bulk of a board, are packed as varint pairs, or as a bitmap
+ * of the board when they list cells in row-major order without repeats.
+ *
+ * ConnectionManager base64-encodes packed messages, so they travel over
+ * any transport, including the JSON-only ones.
+ *
+ * @version 1.0.0
+ */
+
+const MessageCodec = (() => {
+    // Value tags
+    const tags = {
+        NULL: 0,
+        FALSE: 1,
+        TRUE: 2,
+        UINT: 3,        // Varint
+        NEGATIVE: 4,    // Varint of -value - 1
+        FLOAT: 5,       // 64-bit float
+        STRING: 6,      // Varint length, UTF-8 bytes
+        ARRAY: 7,       // Varint count, values
+        OBJECT: 8,      // Varint count, (key, value) pairs
+        CELLS: 9,       // Varint count, (row, col) varint pairs
+        CELL_BITMAP: 10 // Varint rows, varint cols, one bit per cell in row-major order
+    };
+    
+    // Largest board a cell bitmap may describe
+    const maxBitmapCells = 1 << 20;
+    
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    
+    /**
+     * Growable byte buffer for encoding
+     * @returns {Object} Writer
+     */
+    function createWriter() {
+        let bytes = new Uint8Array(256);
+        let length = 0;
+        
+        function reserve(count) {
+            if (length + count <= bytes.length) return;
+            
+            let size = bytes.length * 2;
+            while (size < length + count) {
+                size *= 2;
+            }
+            
+            const grown = new Uint8Array(size);
+            grown.set(bytes.subarray(0, length));
+            bytes = grown;
+        }
+        
+        return {
+            byte(value) {
+                reserve(1);
+                bytes[length++] = value;
+            },
+            bytes(values) {
+                reserve(values.length);
+                bytes.set(values, length);
+                length += values.length;
+            },
+            // Works past 32 bits, so avoid bitwise operators
+            varint(value) {
+                while (value >= 0x80) {
+                    this.byte((value % 0x80) + 0x80);
+                    value = Math.floor(value / 0x80);
+                }
+                this.byte(value);
+            },
+            float(value) {
+                const view = new DataView(new ArrayBuffer(8));
+                view.setFloat64(0, value);
+                this.bytes(new Uint8Array(view.buffer));
+            },
+            string(value) {
+                const utf8 = encoder.encode(value);
+                this.varint(utf8.length);
+                this.bytes(utf8);
+            },
+            result() {
+                return bytes.slice(0, length);
+            }
+        };
+    }
+    
+    /**
+     * Cursor over bytes for decoding
+     * @param {Uint8Array} bytes Encoded bytes
+     * @returns {Object} Reader
+     */
+    function createReader(bytes) {
+        let offset = 0;
+        
+        return {
+            byte() {
+                if (offset >= bytes.length) {
+                    throw new Error('Unexpected end of data');
+                }
+                return bytes[offset++];
+            },
+            bytes(count) {
+                if (offset + count > bytes.length) {
+                    throw new Error('Unexpected end of data');
+                }
+                const slice = bytes.subarray(offset, offset + count);
+                offset += count;
+                return slice;
+            },
+            varint() {
+                let value = 0;
+                let scale = 1;
+                let byte;
+                
+                do {
+                    byte = this.byte();
+                    value += (byte & 0x7f) * scale;
+                    scale *= 0x80;
+                    
+                    if (scale > 2 ** 56) {
+                        throw new Error('Varint too long');
+                    }
+                } while (byte & 0x80);
+                
+                return value;
+            },
+            float() {
+                const view = new DataView(this.bytes(8).slice().buffer);
+                return view.getFloat64(0);
+            },
+            string() {
+                return decoder.decode(this.bytes(this.varint()));
+            },
+            done() {
+                return offset === bytes.length;
+            }
+        };
+    }
+    
+    /**
+     * Check whether an array is a list of board cells
+     * @param {Array} value Array to check
+     * @returns {boolean} True if every item is exactly { row, col } with small non-negative integers
+     */
+    function isCellList(value) {
+        return value.length > 0 && value.every(item =>
+            item !== null && typeof item === 'object' && !Array.isArray(item) &&
+            Object.keys(item).length === 2 &&
+            Number.isInteger(item.row) && item.row >= 0 && item.row < 65536 &&
+            Number.isInteger(item.col) && item.col >= 0 && item.col < 65536
+        );
+    }
+    
+    /**
+     * Write a list of cells, as a bitmap when that is lossless and smaller
+     * @param {Object} writer Writer
+     * @param {Array<Object>} cells Cells ({ row, col })
+     */
+    function writeCells(writer, cells) {
+        const rows = cells.reduce((max, cell) => Math.max(max, cell.row), 0) + 1;
+        const cols = cells.reduce((max, cell) => Math.max(max, cell.col), 0) + 1;
+        
+        // A bitmap can't express order or repeats, so only use it for sorted, unique lists
+        const ordered = cells.every((cell, i) => i === 0 ||
+            cell.row * cols + cell.col > cells[i - 1].row * cols + cells[i - 1].col);
+        const bitmapBytes = Math.ceil(rows * cols / 8);
+        
+        if (ordered && rows * cols <= maxBitmapCells && bitmapBytes < cells.length * 2) {
+            const bitmap = new Uint8Array(bitmapBytes);
+            cells.forEach(cell => {
+                const index = cell.row * cols + cell.col;
+                bitmap[index >> 3] |= 1 << (index & 7);
+            });
+            
+            writer.byte(tags.CELL_BITMAP);
+            writer.varint(rows);
+            writer.varint(cols);
+            writer.bytes(bitmap);
+            return;
+        }
+        
+        writer.byte(tags.CELLS);
+        writer.varint(cells.length);
+        cells.forEach(cell => {
+            writer.varint(cell.row);
+            writer.varint(cell.col);
+        });
+    }
+    
+    /**
+     * Write a value
+     * @param {Object} writer Writer
+     * @param {*} value JSON-compatible value
+     * @param {Map} keys Object keys already sent, by key
+     */
+    function writeValue(writer, value, keys) {
+        if (value === null || value === undefined) {
+            writer.byte(tags.NULL);
+        } else if (value === false) {
+            writer.byte(tags.FALSE);
+        } else if (value === true) {
+            writer.byte(tags.TRUE);
+        } else if (typeof value === 'number') {
+            if (Number.isSafeInteger(value) && value >= 0) {
+                writer.byte(tags.UINT);
+                writer.varint(value);
+            } else if (Number.isSafeInteger(value)) {
+                writer.byte(tags.NEGATIVE);
+                writer.varint(-value - 1);
+            } else if (Number.isFinite(value)) {
+                writer.byte(tags.FLOAT);
+                writer.float(value);
+            } else {
+                // Like JSON
+                writer.byte(tags.NULL);
+            }
+        } else if (typeof value === 'string') {
+            writer.byte(tags.STRING);
+            writer.string(value);
+        } else if (Array.isArray(value)) {
+            if (isCellList(value)) {
+                writeCells(writer, value);
+                return;
+            }
+            
+            writer.byte(tags.ARRAY);
+            writer.varint(value.length);
+            value.forEach(item => writeValue(writer, item, keys));
+        } else if (typeof value === 'object') {
+            // Like JSON, fields set to undefined or functions are left out
+            const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+            
+            writer.byte(tags.OBJECT);
+            writer.varint(entries.length);
+            entries.forEach(([key, item]) => {
+                // 0 introduces a new key; n refers to the nth key already sent
+                if (keys.has(key)) {
+                    writer.varint(keys.get(key) + 1);
+                } else {
+                    writer.varint(0);
+                    writer.string(key);
+                    keys.set(key, keys.size);
+                }
+                writeValue(writer, item, keys);
+            });
+        } else {
+            writer.byte(tags.NULL);
+        }
+    }
+    
+    /**
+     * Read a value
+     * @param {Object} reader Reader
+     * @param {Array<string>} keys Object keys seen so far, in order
+     * @returns {*} Decoded value
+     */
+    function readValue(reader, keys) {
+        const tag = reader.byte();
+        
+        switch (tag) {
+            case tags.NULL:
+                return null;
+            case tags.FALSE:
+                return false;
+            case tags.TRUE:
+                return true;
+            case tags.UINT:
+                return reader.varint();
+            case tags.NEGATIVE:
+                return -reader.varint() - 1;
+            case tags.FLOAT:
+                return reader.float();
+            case tags.STRING:
+                return reader.string();
+            case tags.ARRAY: {
+                const count = reader.varint();
+                const items = [];
+                for (let i = 0; i < count; i++) {
+                    items.push(readValue(reader, keys));
+                }
+                return items;
+            }
+            case tags.OBJECT: {
+                const count = reader.varint();
+                const object = {};
+                for (let i = 0; i < count; i++) {
+                    const index = reader.varint();
+                    let key;
+                    
+                    if (index === 0) {
+                        key = reader.string();
+                        keys.push(key);
+                    } else if (index <= keys.length) {
+                        key = keys[index - 1];
+                    } else {
+                        throw new Error(`Unknown key reference ${index}`);
+                    }
+                    
+                    // Always an own property, so a peer's '__proto__' key can't swap the prototype
+                    Object.defineProperty(object, key, {
+                        value: readValue(reader, keys),
+                        enumerable: true,
+                        writable: true,
+                        configurable: true
+                    });
+                }
+                return object;
+            }
+            case tags.CELLS: {
+                const count = reader.varint();
+                const cells = [];
+                for (let i = 0; i < count; i++) {
+                    cells.push({ row: reader.varint(), col: reader.varint() });
+                }
+                return cells;
+            }
+            case tags.CELL_BITMAP: {
+                const rows = reader.varint();
+                const cols = reader.varint();
+                if (rows * cols > maxBitmapCells) {
+                    throw new Error('Cell bitmap too large');
+                }
+                
+                const bitmap = reader.bytes(Math.ceil(rows * cols / 8));
+                const cells = [];
+                for (let index = 0; index < rows * cols; index++) {
+                    if (bitmap[index >> 3] & (1 << (index & 7))) {
+                        cells.push({ row: Math.floor(index / cols), col: index % cols });
+                    }
+                }
+                return cells;
+            }
+            default:
+                throw new Error(`Unknown tag ${tag}`);
+        }
+    }
+    
+    /**
+     * Encode a JSON-compatible value
+     * @param {*} value Value to encode
+     * @returns {Uint8Array} Encoded bytes
+     */
+    function encode(value) {
+        const writer = createWriter();
+        writeValue(writer, value, new Map());
+        return writer.result();
+    }
+    
+    /**
+     * Decode bytes made by encode
+     * @param {Uint8Array} bytes Encoded bytes
+     * @returns {*} Decoded value
+     * @throws {Error} If the bytes are malformed
+     */
+    function decode(bytes) {
+        const reader = createReader(bytes);
+        const value = readValue(reader, []);
+        
+        if (!reader.done()) {
+            throw new Error('Trailing data after value');
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Check whether the browser can compress streams
+     * @returns {boolean} True if deflate compression is available
+     */
+    function isCompressionAvailable() {
+        return typeof window.CompressionStream === 'function' && typeof window.DecompressionStream === 'function';
+    }
+    
+    /**
+     * Run bytes through a compression or decompression stream
+     * @param {Uint8Array} bytes Input bytes
+     * @param {TransformStream} stream Stream to pipe through
+     * @param {number} maxLength Output size to give up at
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    async function pipeBytes(bytes, stream, maxLength = Infinity) {
+        const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+        const chunks = [];
+        let length = 0;
+        
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            length += value.length;
+            if (length > maxLength) {
+                reader.cancel();
+                throw new Error('Output too large');
+            }
+            
+            chunks.push(value);
+        }
+        
+        const output = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return output;
+    }
+    
+    /**
+     * Compress bytes with deflate
+     * @param {Uint8Array} bytes Bytes to compress
+     * @returns {Promise<Uint8Array>} Compressed bytes
+     */
+    function compress(bytes) {
+        return pipeBytes(bytes, new CompressionStream('deflate'));
+    }
+    
+    /**
+     * Decompress deflated bytes
+     * @param {Uint8Array} bytes Compressed bytes
+     * @param {number} maxLength Largest output to accept, so a tiny message can't expand into gigabytes
+     * @returns {Promise<Uint8Array>} Original bytes
+     */
+    function decompress(bytes, maxLength = Infinity) {
+        return pipeBytes(bytes, new DecompressionStream('deflate'), maxLength);
+    }
+    
+    return {
+        encode,
+        decode,
+        compress,
+        decompress,
+        isCompressionAvailable
+    };
+})();
+
+// Make MessageCodec available globally
+window.MessageCodec = MessageCodec;
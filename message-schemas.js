@@ -0,0 +1,292 @@
+/**
+ * Message Schemas for MentalPlayer
+ * Describes the shape of every message peers exchange, so ConnectionManager
+ * can drop malformed or forged messages before acting on them
+ *
+ * A schema maps field names to specs:
+ *   'string', 'number', 'integer', 'boolean', 'object', 'array', 'any'
+ *                        Type of the field; a trailing '?' makes it optional
+ *   { ... }              Nested object with its own field specs
+ *   [spec]               Array whose items all match spec
+ *   function(value)      Custom check; returns true when the value is acceptable
+ * Fields a schema doesn't mention are allowed, so newer peers can add fields.
+ *
+ * @version 1.0.0
+ */
+
+const MessageSchemas = (() => {
+    // Private storage for registered schemas by message type
+    const schemas = {};
+    
+    // Messages peers can only receive from the host
+    const hostOnlyTypes = new Set();
+    
+    /**
+     * Register the schema for a message type
+     * @param {string} type Message type
+     * @param {Object} fields Field specs
+     * @param {Object} options { hostOnly } to accept the message only from the host
+     * @returns {boolean} Success status
+     */
+    function registerSchema(type, fields, options = {}) {
+        // Validate type
+        if (!type || typeof type !== 'string') {
+            console.error('[MessageSchemas] Invalid message type');
+            return false;
+        }
+        
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            console.error(`[MessageSchemas] Schema for '${type}' must be an object of field specs`);
+            return false;
+        }
+        
+        schemas[type] = fields;
+        
+        if (options.hostOnly) {
+            hostOnlyTypes.add(type);
+        } else {
+            hostOnlyTypes.delete(type);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Spec for an object used as a map, whose values all match one spec
+     * @param {*} spec Spec for every value
+     * @returns {Function} Custom check
+     */
+    function mapOf(spec) {
+        return value => isPlainObject(value) &&
+            Object.keys(value).every(key => checkValue(value[key], spec, key) === null);
+    }
+    
+    /**
+     * Spec for a value from a fixed set
+     * @param {Array} values Allowed values
+     * @returns {Function} Custom check
+     */
+    function oneOf(values) {
+        return value => values.includes(value);
+    }
+    
+    /**
+     * Check whether a value is a plain object (not null or an array)
+     * @param {*} value Value to check
+     * @returns {boolean} True if it is
+     */
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+    
+    /**
+     * Check a value against a spec
+     * @param {*} value Value to check
+     * @param {*} spec Field spec
+     * @param {string} path Field path for the error message
+     * @returns {string|null} Error message, or null if the value matches
+     */
+    function checkValue(value, spec, path) {
+        if (typeof spec === 'string') {
+            const optional = spec.endsWith('?');
+            const type = optional ? spec.slice(0, -1) : spec;
+            
+            if (value === undefined || value === null) {
+                return optional ? null : `${path} is required`;
+            }
+            
+            let matches;
+            switch (type) {
+                case 'string':
+                case 'boolean':
+                    matches = typeof value === type;
+                    break;
+                case 'number':
+                    matches = typeof value === 'number' && Number.isFinite(value);
+                    break;
+                case 'integer':
+                    matches = Number.isInteger(value);
+                    break;
+                case 'object':
+                    matches = isPlainObject(value);
+                    break;
+                case 'array':
+                    matches = Array.isArray(value);
+                    break;
+                case 'any':
+                    matches = true;
+                    break;
+                default:
+                    return `${path} has unknown spec '${spec}'`;
+            }
+            
+            return matches ? null : `${path} must be ${type === 'integer' ? 'an' : 'a'} ${type}`;
+        }
+        
+        if (typeof spec === 'function') {
+            return spec(value) ? null : `${path} is invalid`;
+        }
+        
+        if (Array.isArray(spec)) {
+            if (!Array.isArray(value)) return `${path} must be an array`;
+            
+            for (let i = 0; i < value.length; i++) {
+                const error = checkValue(value[i], spec[0], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+        }
+        
+        if (isPlainObject(spec)) {
+            if (!isPlainObject(value)) return `${path} must be an object`;
+            return checkFields(value, spec, `${path}.`);
+        }
+        
+        return `${path} has an invalid spec`;
+    }
+    
+    /**
+     * Check an object's fields against field specs
+     * @param {Object} payload Object to check
+     * @param {Object} fields Field specs
+     * @param {string} prefix Path prefix for error messages
+     * @returns {string|null} Error message, or null if every field matches
+     */
+    function checkFields(payload, fields, prefix = '') {
+        for (const name of Object.keys(fields)) {
+            const error = checkValue(payload[name], fields[name], prefix + name);
+            if (error) return error;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Validate an object against field specs
+     * @param {Object} payload Object to validate
+     * @param {Object} fields Field specs
+     * @returns {Object} { valid, error }
+     */
+    function validateFields(payload, fields) {
+        if (!isPlainObject(payload)) {
+            return { valid: false, error: 'payload must be an object' };
+        }
+        
+        const error = checkFields(payload, fields);
+        return { valid: !error, error };
+    }
+    
+    /**
+     * Validate a peer message against the schema for its type
+     * @param {Object} message Message to validate
+     * @returns {Object} { valid, error }; unknown types are invalid
+     */
+    function validate(message) {
+        if (!isPlainObject(message) || typeof message.type !== 'string') {
+            return { valid: false, error: 'message has no type' };
+        }
+        
+        if (!schemas[message.type]) {
+            return { valid: false, error: `unknown message type '${message.type}'` };
+        }
+        
+        return validateFields(message, schemas[message.type]);
+    }
+    
+    /**
+     * Check whether a message type may only come from the host
+     * @param {string} type Message type
+     * @returns {boolean} True if host-only
+     */
+    function isHostOnly(type) {
+        return hostOnlyTypes.has(type);
+    }
+    
+    /**
+     * Check if a message type has a schema
+     * @param {string} type Message type
+     * @returns {boolean} True if registered
+     */
+    function isRegistered(type) {
+        return !!schemas[type];
+    }
+    
+    // Shared specs
+    
+    // Avatars are a short emoji shown next to the name, never markup
+    const avatar = value => value === undefined || value === null ||
+        (typeof value === 'string' && value.length <= 16 && !/[<>&"'`]/.test(value));
+    
+    // Colors end up in style attributes, so only a picked hex color or the hue ConnectionManager derives
+    const color = value => value === undefined || value === null ||
+        (typeof value === 'string' && (/^#[0-9a-f]{6}$/i.test(value) || /^hsl\(\d{1,3}, 70%, 60%\)$/.test(value)));
+    
+    const peerEntry = {
+        id: 'string',
+        name: 'string',
+        isHost: 'boolean?',
+        color,
+        avatar,
+        profileId: 'string?',
+        spectator: 'boolean?',
+        muted: 'boolean?',
+        publicKey: 'string?'
+    };
+    
+    // Delivery layer and liveness
+    registerSchema('ack', { linkSeq: 'integer', gap: 'boolean?', rejected: 'array?' });
+    registerSchema('heartbeat', { timestamp: 'number', quality: 'object?' });
+    registerSchema('heartbeat_ack', { timestamp: 'number', roomTime: 'number?' });
+    
+    // Room credentials
+    registerSchema('auth_challenge', { nonce: 'string', password: 'boolean?' }, { hostOnly: true });
+    registerSchema('auth_response', { memberProof: 'string?', keyProof: 'string?', token: 'string?', passwordProof: 'string?' });
+    registerSchema('auth_result', { ok: 'boolean', code: 'string?' }, { hostOnly: true });
+    registerSchema('room_auth', { auth: 'object' }, { hostOnly: true });
+    registerSchema('room_key', { iv: 'string', key: 'string' }, { hostOnly: true });
+    
+    // Membership
+    registerSchema('peer_info', {
+        userId: 'string?',
+        userName: 'string?',
+        isHost: 'boolean?',
+        spectator: 'boolean?',
+        color,
+        avatar,
+        profileId: 'string?',
+        publicKey: 'string?',
+        codecs: 'array?',
+        resume: 'boolean?',
+        lastSeq: 'integer?'
+    });
+    registerSchema('peer_list', { peers: mapOf(peerEntry), roomCode: 'string?', successorId: 'string?', encrypted: 'boolean?' }, { hostOnly: true });
+    registerSchema('peer_joined', { peerId: 'string', userName: 'string?' }, { hostOnly: true });
+    registerSchema('peer_left', { peerId: 'string', userName: 'string?' }, { hostOnly: true });
+    registerSchema('peer_leaving', {});
+    registerSchema('waiting_list', { waiting: [{ id: 'string', name: 'string?' }] }, { hostOnly: true });
+    
+    // Moderation
+    registerSchema('moderation', { action: oneOf(['kick', 'ban', 'flood']) }, { hostOnly: true });
+    registerSchema('rate_limited', { messageType: 'string', retryAfter: 'number?' }, { hostOnly: true });
+    registerSchema('host_transfer', { newHostId: 'string', banned: ['string'] }, { hostOnly: true });
+    
+    // Room content
+    registerSchema('chat_message', { message: 'string', senderId: 'string?', seq: 'integer?' });
+    registerSchema('game_switch', { gameId: 'string' });
+    registerSchema('game_data', { gameId: 'string', data: 'object', senderId: 'string?', seq: 'integer?' });
+    registerSchema('game_state', { gameId: 'string?', state: 'any' }, { hostOnly: true });
+    registerSchema('ephemeral', { kind: 'string', gameId: 'string?', data: 'any', senderId: 'string?' });
+    
+    return {
+        registerSchema,
+        validate,
+        validateFields,
+        isHostOnly,
+        isRegistered,
+        mapOf,
+        oneOf
+    };
+})();
+
+// Make MessageSchemas available globally
+window.MessageSchemas = MessageSchemas;
@@ -0,0 +1,560 @@
+/**
+ * QR Code generator for MentalPlayer
+ * Encodes text (e.g. an invite link) as a QR code and draws it on a canvas,
+ * entirely in the browser so nothing is sent to a third-party service.
+ *
+ * Follows ISO/IEC 18004: byte mode, versions 1-40, error correction levels
+ * L, M, Q and H, with the mask chosen by the standard's penalty rules.
+ *
+ * @version 1.0.0
+ */
+
+const QRCode = (() => {
+    // Error correction levels: table row and the bits stored in the format information
+    const eccLevels = {
+        L: { index: 0, formatBits: 1 },
+        M: { index: 1, formatBits: 0 },
+        Q: { index: 2, formatBits: 3 },
+        H: { index: 3, formatBits: 2 }
+    };
+    
+    // Error correction codewords per block, by level and version (index 0 is unused)
+    const eccCodewordsPerBlock = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+    
+    // Error correction blocks, by level and version (index 0 is unused)
+    const eccBlockCount = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+    
+    // Masks flip the data modules where they return true, to avoid patterns that confuse scanners
+    const masks = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => x * y % 2 + x * y % 3 === 0,
+        (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+    
+    /**
+     * Get bit i of a number
+     * @param {number} value Number
+     * @param {number} i Bit index, 0 being the least significant
+     * @returns {boolean} True if the bit is set
+     */
+    function getBit(value, i) {
+        return ((value >>> i) & 1) !== 0;
+    }
+    
+    /**
+     * Count the modules of a version available for data and error correction
+     * @param {number} version QR version (1-40)
+     * @returns {number} Module count
+     */
+    function getRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        
+        if (version >= 2) {
+            const alignCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignCount - 10) * alignCount - 55;
+            
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Count the data codewords a version holds at an error correction level
+     * @param {number} version QR version (1-40)
+     * @param {Object} ecc Error correction level
+     * @returns {number} Codeword count
+     */
+    function getDataCodewords(version, ecc) {
+        return Math.floor(getRawDataModules(version) / 8) -
+            eccCodewordsPerBlock[ecc.index][version] * eccBlockCount[ecc.index][version];
+    }
+    
+    /**
+     * Get the centers of the alignment patterns along one axis
+     * @param {number} version QR version (1-40)
+     * @returns {Array<number>} Positions
+     */
+    function getAlignmentPositions(version) {
+        if (version === 1) return [];
+        
+        const size = version * 4 + 17;
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        
+        const result = [6];
+        for (let position = size - 7; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Multiply two numbers in the Galois field GF(2^8) used by Reed-Solomon codes
+     * @param {number} x Factor
+     * @param {number} y Factor
+     * @returns {number} Product
+     */
+    function multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+    
+    /**
+     * Build the Reed-Solomon generator polynomial
+     * @param {number} degree Number of error correction codewords
+     * @returns {Array<number>} Coefficients, highest power first, leading 1 omitted
+     */
+    function getDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = multiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = multiply(root, 0x02);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Compute the Reed-Solomon error correction codewords for a block
+     * @param {Array<number>} data Data codewords
+     * @param {Array<number>} divisor Generator polynomial from getDivisor()
+     * @returns {Array<number>} Error correction codewords
+     */
+    function getRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= multiply(coefficient, factor);
+            });
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Split data into blocks, add error correction to each and interleave them
+     * @param {Array<number>} data Data codewords
+     * @param {number} version QR version (1-40)
+     * @param {Object} ecc Error correction level
+     * @returns {Array<number>} Every codeword in placement order
+     */
+    function addErrorCorrection(data, version, ecc) {
+        const blockCount = eccBlockCount[ecc.index][version];
+        const blockEccLength = eccCodewordsPerBlock[ecc.index][version];
+        const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = getDivisor(blockEccLength);
+        
+        // Later blocks hold one more data codeword than the short ones
+        const blocks = [];
+        let offset = 0;
+        for (let i = 0; i < blockCount; i++) {
+            const length = shortBlockLength - blockEccLength + (i < shortBlockCount ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            
+            const remainder = getRemainder(block, divisor);
+            if (i < shortBlockCount) {
+                block.push(0);
+            }
+            blocks.push(block.concat(remainder));
+        }
+        
+        // Interleave, skipping the padding added to short blocks
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - blockEccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Turn text into data codewords for the smallest version that fits
+     * @param {Uint8Array} bytes UTF-8 bytes of the text
+     * @param {Object} ecc Error correction level
+     * @returns {Object} { version, codewords }
+     */
+    function encodeData(bytes, ecc) {
+        let version = 1;
+        for (; version <= 40; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + bytes.length * 8 <= getDataCodewords(version, ecc) * 8) break;
+        }
+        
+        if (version > 40) {
+            throw new Error('Text is too long for a QR code');
+        }
+        
+        const bits = [];
+        const appendBits = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        
+        // Byte mode indicator, character count, then the bytes
+        appendBits(0x4, 4);
+        appendBits(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => appendBits(byte, 8));
+        
+        // Terminator and padding to a whole byte
+        const capacity = getDataCodewords(version, ecc) * 8;
+        appendBits(0, Math.min(4, capacity - bits.length));
+        appendBits(0, (8 - bits.length % 8) % 8);
+        
+        // Alternating pad bytes fill the rest
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            appendBits(pad, 8);
+        }
+        
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        
+        return { version, codewords };
+    }
+    
+    /**
+     * Build the symbol for a version: function patterns first, then data and a mask
+     * @param {number} version QR version (1-40)
+     * @param {Object} ecc Error correction level
+     * @param {Array<number>} codewords Interleaved codewords
+     * @returns {Array<Array<boolean>>} Modules by row, true for dark
+     */
+    function buildMatrix(version, ecc, codewords) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        
+        const setFunction = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+        
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(6, i, i % 2 === 0);
+            setFunction(i, 6, i % 2 === 0);
+        }
+        
+        // Finder patterns with their separators, in three corners
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+        
+        // Alignment patterns, except where they would overlap the finders
+        const positions = getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+        
+        // Reserve the format areas; the real bits go in once the mask is chosen
+        drawFormatBits(modules, reserved, ecc, 0);
+        
+        // Version information, for version 7 and up
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+            
+            for (let i = 0; i < 18; i++) {
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunction(a, b, getBit(bits, i));
+                setFunction(b, a, getBit(bits, i));
+            }
+        }
+        
+        // Data goes up and down two-module columns from the right, skipping the vertical timing pattern
+        let bitIndex = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+                    
+                    modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+                    bitIndex++;
+                }
+            }
+        }
+        
+        // Try every mask and keep the one scanners will find easiest
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        masks.forEach((mask, index) => {
+            applyMask(modules, reserved, mask);
+            drawFormatBits(modules, reserved, ecc, index);
+            
+            const penalty = getPenalty(modules);
+            if (penalty < bestPenalty) {
+                bestMask = index;
+                bestPenalty = penalty;
+            }
+            
+            // Masking twice undoes it
+            applyMask(modules, reserved, mask);
+        });
+        
+        applyMask(modules, reserved, masks[bestMask]);
+        drawFormatBits(modules, reserved, ecc, bestMask);
+        
+        return modules;
+    }
+    
+    /**
+     * Draw the error correction level and mask, twice, next to the finders
+     * @param {Array<Array<boolean>>} modules Modules by row
+     * @param {Array<Array<boolean>>} reserved Function modules by row
+     * @param {Object} ecc Error correction level
+     * @param {number} mask Mask index (0-7)
+     */
+    function drawFormatBits(modules, reserved, ecc, mask) {
+        const size = modules.length;
+        const data = (ecc.formatBits << 3) | mask;
+        
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+        
+        // Around the top left finder
+        for (let i = 0; i <= 5; i++) {
+            set(8, i, getBit(bits, i));
+        }
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            set(14 - i, 8, getBit(bits, i));
+        }
+        
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) {
+            set(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            set(8, size - 15 + i, getBit(bits, i));
+        }
+        
+        // Always dark
+        set(8, size - 8, true);
+    }
+    
+    /**
+     * Flip the data modules a mask selects
+     * @param {Array<Array<boolean>>} modules Modules by row
+     * @param {Array<Array<boolean>>} reserved Function modules by row
+     * @param {Function} mask Mask from masks
+     */
+    function applyMask(modules, reserved, mask) {
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (!reserved[y][x] && mask(x, y)) {
+                    row[x] = !dark;
+                }
+            });
+        });
+    }
+    
+    /**
+     * Score a symbol by the standard's penalty rules; lower scans more reliably
+     * @param {Array<Array<boolean>>} modules Modules by row
+     * @returns {number} Penalty
+     */
+    function getPenalty(modules) {
+        const size = modules.length;
+        let penalty = 0;
+        let dark = 0;
+        
+        // Finder-like runs: dark-light-dark-dark-dark-light-dark with four light modules on one side
+        const finderLike = [true, false, true, true, true, false, true];
+        const lightRun = [false, false, false, false];
+        const patterns = [finderLike.concat(lightRun), lightRun.concat(finderLike)];
+        
+        const scoreLine = line => {
+            // Runs of five or more of the same color
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                    continue;
+                }
+                if (runLength >= 5) {
+                    penalty += runLength - 2;
+                }
+                runLength = 1;
+            }
+            
+            for (let i = 0; i + 11 <= size; i++) {
+                patterns.forEach(pattern => {
+                    if (pattern.every((value, k) => line[i + k] === value)) {
+                        penalty += 40;
+                    }
+                });
+            }
+        };
+        
+        for (let y = 0; y < size; y++) {
+            scoreLine(modules[y]);
+            scoreLine(modules.map(row => row[y]));
+        }
+        
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                
+                // 2x2 blocks of one color
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+        
+        // Distance from an even balance of dark and light, in steps of 5%
+        const total = size * size;
+        penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        
+        return penalty;
+    }
+    
+    /**
+     * Encode text as a QR code
+     * @param {string} text Text to encode, as UTF-8
+     * @param {Object} options Optional { ecc } level: 'L', 'M' (default), 'Q' or 'H'
+     * @returns {Object} { version, size, modules } with modules[y][x] true for dark; throws if the text doesn't fit
+     */
+    function encode(text, options = {}) {
+        const ecc = eccLevels[options.ecc || 'M'];
+        if (!ecc) {
+            throw new Error(`Unknown error correction level '${options.ecc}'`);
+        }
+        
+        const { version, codewords } = encodeData(new TextEncoder().encode(String(text)), ecc);
+        const modules = buildMatrix(version, ecc, addErrorCorrection(codewords, version, ecc));
+        
+        return { version, size: modules.length, modules };
+    }
+    
+    /**
+     * Draw text as a QR code on a canvas, resizing the canvas to fit
+     * @param {HTMLCanvasElement} canvas Canvas to draw on
+     * @param {string} text Text to encode
+     * @param {Object} options Optional { ecc, scale } pixels per module, { margin } in modules
+     *                         (4 is the standard quiet zone), { dark, light } colors
+     * @returns {boolean} True if drawn; false if the text was too long
+     */
+    function renderToCanvas(canvas, text, options = {}) {
+        let code;
+        try {
+            code = encode(text, options);
+        } catch (error) {
+            console.warn(`[QRCode] Could not encode: ${error.message}`);
+            return false;
+        }
+        
+        const scale = options.scale || 4;
+        const margin = options.margin === undefined ? 4 : options.margin;
+        
+        canvas.width = canvas.height = (code.size + margin * 2) * scale;
+        
+        const context = canvas.getContext('2d');
+        context.fillStyle = options.light || '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        
+        context.fillStyle = options.dark || '#000000';
+        code.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+                }
+            });
+        });
+        
+        return true;
+    }
+    
+    return {
+        encode,
+        renderToCanvas
+    };
+})();
+
+// Make QRCode available globally
+window.QRCode = QRCode;
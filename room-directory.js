@@ -0,0 +1,287 @@
+/**
+ * Room Directory for MentalPlayer
+ * Lets hosts list their rooms publicly so players can browse and join them
+ * without being sent a room ID. Directories are pluggable like transports:
+ * 'http' talks to a directory server (see server/directory.js), 'local' is a
+ * stand-in that only reaches other tabs of the same browser.
+ *
+ * A directory provides:
+ *   name                          Display name
+ *   isAvailable()                 Whether it can be used right now
+ *   publish(listing, key, opts)   Add or refresh a listing; key proves we own it
+ *   withdraw(roomId, key, opts)   Remove a listing
+ *   list(opts)                    Resolves to every listing that is still being refreshed
+ *   watch(handler, opts)          Optional; calls handler when listings change, returns unsubscribe
+ *
+ * A listing is { roomId, gameId, name, players, maxPlayers, password, updatedAt }.
+ *
+ * @version 1.0.0
+ */
+
+const RoomDirectory = (() => {
+    // Private storage for registered directories
+    const directories = {};
+    
+    // Required methods for directories
+    const requiredMethods = [
+        'isAvailable', // Whether the directory can be used
+        'publish',     // Add or refresh a listing
+        'withdraw',    // Remove a listing
+        'list'         // Fetch current listings
+    ];
+    
+    // Configuration
+    const config = {
+        directory: 'local',      // Directory used when no server is configured
+        options: {},             // Passed to the directory (e.g. { url })
+        refreshInterval: 10000   // How often a listing is republished; directories drop listings that stop refreshing
+    };
+    
+    // The listing we're keeping up to date ({ listing, key, timer }), null if none
+    let advertised = null;
+    
+    /**
+     * Register a new directory
+     * @param {string} id Unique identifier for the directory
+     * @param {Object} directory Directory implementation
+     * @returns {boolean} Success status
+     */
+    function registerDirectory(id, directory) {
+        // Validate ID
+        if (!id || typeof id !== 'string') {
+            console.error('[RoomDirectory] Invalid directory ID');
+            return false;
+        }
+        
+        // Check if already registered
+        if (directories[id]) {
+            console.warn(`[RoomDirectory] Directory '${id}' is already registered`);
+            return false;
+        }
+        
+        // Validate required methods
+        const missingMethods = requiredMethods.filter(method => typeof directory[method] !== 'function');
+        if (missingMethods.length > 0) {
+            console.error(`[RoomDirectory] Directory '${id}' is missing required methods: ${missingMethods.join(', ')}`);
+            return false;
+        }
+        
+        directories[id] = directory;
+        
+        console.log(`[RoomDirectory] Registered directory: ${id}`);
+        return true;
+    }
+    
+    /**
+     * Choose the directory to use
+     * @param {Object} settings { directoryUrl } for a directory server, or { directory, options } for any registered directory
+     * @returns {Object} { valid, errors }; invalid settings leave the current directory in place
+     */
+    function configure(settings = {}) {
+        const errors = [];
+        let directory = settings.directory || 'local';
+        let options = settings.options || {};
+        
+        if (settings.directoryUrl) {
+            let url = null;
+            try {
+                url = new URL(settings.directoryUrl);
+            } catch (error) {
+                // Reported below
+            }
+            
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                errors.push('Room directory must be an http:// or https:// URL.');
+            }
+            
+            directory = 'http';
+            options = { url: settings.directoryUrl };
+        }
+        
+        if (!directories[directory]) {
+            errors.push(`Room directory '${directory}' is not available.`);
+        }
+        
+        if (errors.length > 0) {
+            return { valid: false, errors };
+        }
+        
+        // Take our listing down from the old directory, then put it up on the new one
+        const current = advertised && advertised.listing;
+        stopAdvertising();
+        
+        config.directory = directory;
+        config.options = options;
+        
+        if (current) {
+            advertise(current);
+        }
+        
+        return { valid: true, errors };
+    }
+    
+    /**
+     * Get the directory in use
+     * @returns {Object|null} Directory, or null if it can't be used here
+     */
+    function getDirectory() {
+        const directory = directories[config.directory];
+        return directory && directory.isAvailable() ? directory : null;
+    }
+    
+    /**
+     * Get the display name of the directory in use
+     * @returns {string} Name, or an empty string if there is no usable directory
+     */
+    function getDirectoryName() {
+        const directory = getDirectory();
+        return directory ? directory.name || config.directory : '';
+    }
+    
+    /**
+     * Check and tidy a listing, since they come from other players
+     * @param {Object} listing Listing to check
+     * @returns {Object|null} Clean listing, or null if it's unusable
+     */
+    function normalizeListing(listing) {
+        if (!listing || typeof listing !== 'object') return null;
+        if (typeof listing.roomId !== 'string' || !listing.roomId) return null;
+        if (typeof listing.gameId !== 'string' || !listing.gameId) return null;
+        
+        const players = Number.isInteger(listing.players) && listing.players > 0 ? listing.players : 1;
+        const maxPlayers = Number.isInteger(listing.maxPlayers) && listing.maxPlayers > 0 ? listing.maxPlayers : null;
+        
+        return {
+            roomId: listing.roomId.slice(0, 64),
+            gameId: listing.gameId.slice(0, 64),
+            name: (typeof listing.name === 'string' && listing.name.trim() ? listing.name.trim() : listing.roomId).slice(0, 40),
+            players,
+            maxPlayers,
+            password: !!listing.password,
+            updatedAt: Number(listing.updatedAt) || Date.now()
+        };
+    }
+    
+    /**
+     * Keep a room listed until stopAdvertising is called; calling it again updates the listing
+     * @param {Object} listing { roomId, gameId, name, players, maxPlayers, password }
+     * @returns {boolean} True if the listing was accepted
+     */
+    function advertise(listing) {
+        const clean = normalizeListing({ ...listing, updatedAt: Date.now() });
+        if (!clean) {
+            console.error('[RoomDirectory] Listing needs a roomId and gameId');
+            return false;
+        }
+        
+        // A different room gets a fresh key
+        if (advertised && advertised.listing.roomId !== clean.roomId) {
+            stopAdvertising();
+        }
+        
+        if (!advertised) {
+            const bytes = new Uint8Array(16);
+            crypto.getRandomValues(bytes);
+            
+            advertised = {
+                listing: clean,
+                key: Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join(''),
+                timer: setInterval(publishListing, config.refreshInterval)
+            };
+        } else {
+            // Nothing a browsing player would see changed; the timer keeps it fresh
+            const changed = ['gameId', 'name', 'players', 'maxPlayers', 'password']
+                .some(field => advertised.listing[field] !== clean[field]);
+            
+            advertised.listing = clean;
+            if (!changed) return true;
+        }
+        
+        publishListing();
+        return true;
+    }
+    
+    /**
+     * Send our listing to the directory
+     */
+    function publishListing() {
+        const directory = getDirectory();
+        if (!advertised || !directory) return;
+        
+        advertised.listing.updatedAt = Date.now();
+        
+        Promise.resolve(directory.publish(advertised.listing, advertised.key, config.options))
+            .catch(error => console.warn(`[RoomDirectory] Could not list room: ${error.message}`));
+    }
+    
+    /**
+     * Take our room out of the directory
+     */
+    function stopAdvertising() {
+        if (!advertised) return;
+        
+        const { listing, key, timer } = advertised;
+        clearInterval(timer);
+        advertised = null;
+        
+        const directory = getDirectory();
+        if (directory) {
+            Promise.resolve(directory.withdraw(listing.roomId, key, config.options))
+                .catch(error => console.warn(`[RoomDirectory] Could not unlist room: ${error.message}`));
+        }
+    }
+    
+    /**
+     * Check whether we have a room listed
+     * @returns {boolean} True if advertising
+     */
+    function isAdvertising() {
+        return !!advertised;
+    }
+    
+    /**
+     * Fetch the rooms currently listed
+     * @param {Object} filter Optional { gameId } to only list rooms for one game
+     * @returns {Promise<Array<Object>>} Listings, most recently refreshed first
+     */
+    function listRooms(filter = {}) {
+        const directory = getDirectory();
+        if (!directory) {
+            return Promise.reject(new Error('No room directory available'));
+        }
+        
+        return Promise.resolve(directory.list(config.options)).then(listings => (Array.isArray(listings) ? listings : [])
+            .map(normalizeListing)
+            .filter(listing => listing && (!filter.gameId || listing.gameId === filter.gameId))
+            .sort((a, b) => b.updatedAt - a.updatedAt));
+    }
+    
+    /**
+     * Get notified when the listings change, if the directory can tell us
+     * @param {Function} handler Called with no arguments on changes
+     * @returns {Function|null} Unsubscribe function, or null if the directory can't watch
+     */
+    function watch(handler) {
+        const directory = getDirectory();
+        if (!directory || typeof directory.watch !== 'function') return null;
+        
+        return directory.watch(handler, config.options);
+    }
+    
+    // Don't leave a listing behind when the page goes away
+    window.addEventListener('pagehide', stopAdvertising);
+    
+    return {
+        registerDirectory,
+        configure,
+        getDirectoryName,
+        advertise,
+        stopAdvertising,
+        isAdvertising,
+        listRooms,
+        watch
+    };
+})();
+
+// Make RoomDirectory available globally
+window.RoomDirectory = RoomDirectory;
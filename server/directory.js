@@ -0,0 +1,214 @@
+/**
+ * Room Directory Server for MentalPlayer
+ * Keeps the list of public rooms that hosts advertise, for the room browser
+ * (see directories/http.js). Listings live in memory and disappear when their
+ * host stops refreshing them; only the key a listing was created with can
+ * change or remove it.
+ *
+ * Uses only Node built-ins. Usage:
+ *   node server/directory.js [port]
+ * Then start MentalPlayer with ?directory=https://your-host:port
+ *
+ *   GET    /rooms        { rooms: [listing, ...] }
+ *   PUT    /rooms/:id    { listing, key } adds or refreshes a listing
+ *   DELETE /rooms/:id    { key } removes it
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const config = {
+    port: Number(process.argv[2] || process.env.PORT || 8788),
+    listingTtl: 30000,   // Listings not refreshed within this long are dropped
+    maxListings: 1000,   // New rooms are refused once this many are listed
+    maxBodySize: 4096    // Larger requests are refused
+};
+
+// Listings by room ID ({ listing, keyHash })
+const rooms = new Map();
+
+/**
+ * Log with a timestamp
+ * @param {string} message Message to log
+ */
+function log(message) {
+    console.log(`[Directory ${new Date().toISOString()}] ${message}`);
+}
+
+/**
+ * Hash an owner key, so a memory dump doesn't hand out control of listings
+ * @param {string} key Owner key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Check and tidy a listing from a host
+ * @param {string} roomId Room ID from the URL
+ * @param {Object} listing Listing from the request body
+ * @returns {Object|null} Listing to store, or null if it's unusable
+ */
+function cleanListing(roomId, listing) {
+    if (!listing || typeof listing !== 'object') return null;
+    if (typeof listing.gameId !== 'string' || !listing.gameId) return null;
+    
+    return {
+        roomId,
+        gameId: listing.gameId.slice(0, 64),
+        name: typeof listing.name === 'string' ? listing.name.slice(0, 40) : '',
+        players: Number.isInteger(listing.players) && listing.players > 0 ? listing.players : 1,
+        maxPlayers: Number.isInteger(listing.maxPlayers) && listing.maxPlayers > 0 ? listing.maxPlayers : null,
+        password: !!listing.password,
+        updatedAt: Date.now()
+    };
+}
+
+/**
+ * Drop listings whose hosts stopped refreshing them
+ */
+function pruneRooms() {
+    const cutoff = Date.now() - config.listingTtl;
+    
+    rooms.forEach((entry, roomId) => {
+        if (entry.listing.updatedAt < cutoff) {
+            rooms.delete(roomId);
+        }
+    });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response Response
+ * @param {number} status HTTP status
+ * @param {Object} body Optional body
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, body ? { 'Content-Type': 'application/json' } : {});
+    response.end(body ? JSON.stringify(body) : undefined);
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request Request
+ * @returns {Promise<Object>} Parsed body; rejects if it's too large or not JSON
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        
+        request.on('data', chunk => {
+            text += chunk;
+            if (text.length > config.maxBodySize) {
+                reject(new Error('Request too large'));
+                request.destroy();
+            }
+        });
+        
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(text || '{}'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Handle a request to the directory
+ * @param {http.IncomingMessage} request Request
+ * @param {http.ServerResponse} response Response
+ */
+async function handleRequest(request, response) {
+    // Browsers call us from whatever origin MentalPlayer is served on
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    
+    if (request.method === 'OPTIONS') {
+        sendJson(response, 204);
+        return;
+    }
+    
+    const path = new URL(request.url, 'http://localhost').pathname;
+    pruneRooms();
+    
+    if (path === '/rooms' && request.method === 'GET') {
+        sendJson(response, 200, { rooms: Array.from(rooms.values(), entry => entry.listing) });
+        return;
+    }
+    
+    const match = /^\/rooms\/([^/]{1,64})$/.exec(path);
+    if (!match || !['PUT', 'DELETE'].includes(request.method)) {
+        sendJson(response, 404, { error: 'Not found' });
+        return;
+    }
+    
+    let body, roomId;
+    try {
+        body = await readBody(request);
+        roomId = decodeURIComponent(match[1]);
+    } catch (error) {
+        sendJson(response, 400, { error: 'Bad request' });
+        return;
+    }
+    
+    const existing = rooms.get(roomId);
+    
+    if (typeof body.key !== 'string' || !body.key) {
+        sendJson(response, 400, { error: 'Missing key' });
+        return;
+    }
+    
+    if (existing && existing.keyHash !== hashKey(body.key)) {
+        sendJson(response, 403, { error: 'Listed by someone else' });
+        return;
+    }
+    
+    if (request.method === 'DELETE') {
+        if (rooms.delete(roomId)) {
+            log(`Unlisted ${roomId} (${rooms.size} listed)`);
+        }
+        sendJson(response, 204);
+        return;
+    }
+    
+    const listing = cleanListing(roomId, body.listing);
+    if (!listing) {
+        sendJson(response, 400, { error: 'Invalid listing' });
+        return;
+    }
+    
+    if (!existing && rooms.size >= config.maxListings) {
+        sendJson(response, 503, { error: 'Directory full' });
+        return;
+    }
+    
+    rooms.set(roomId, { listing, keyHash: hashKey(body.key) });
+    if (!existing) {
+        log(`Listed ${roomId} for ${listing.gameId} (${rooms.size} listed)`);
+    }
+    
+    sendJson(response, 200, { listing });
+}
+
+const server = http.createServer((request, response) => {
+    handleRequest(request, response).catch(error => {
+        log(`Error handling ${request.method} ${request.url}: ${error.message}`);
+        if (!response.headersSent) {
+            sendJson(response, 500, { error: 'Server error' });
+        }
+    });
+});
+
+server.listen(config.port, () => {
+    log(`Listening on port ${config.port}`);
+});
@@ -0,0 +1,308 @@
+/**
+ * WebSocket Relay Server for MentalPlayer
+ * Forwards messages between players who can't reach each other over WebRTC.
+ * Speaks the bus protocol of the websocket transport (transports/websocket.js):
+ * each socket claims a peer ID, and messages are only passed along links that
+ * the two peers opened with each other, so a socket can't reach other rooms.
+ *
+ * Uses only Node built-ins. Usage:
+ *   node server/relay.js [port]
+ * Then start MentalPlayer with ?relay=ws://your-host:port
+ *
+ * @version 1.0.0
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const config = {
+    port: Number(process.argv[2] || process.env.PORT || 8787),
+    maxMessageSize: 64 * 1024, // Larger frames close the socket
+    pingInterval: 30000        // Sockets that miss a ping are dropped
+};
+
+// RFC 6455 handshake constant
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Sockets by claimed peer ID
+const clients = new Map();
+
+// Open links by connection ID ({ dialer, target })
+const links = new Map();
+
+/**
+ * Log with a timestamp
+ * @param {string} message Message to log
+ */
+function log(message) {
+    console.log(`[Relay ${new Date().toISOString()}] ${message}`);
+}
+
+/**
+ * Encode a server-to-client frame (servers never mask)
+ * @param {number} opcode Frame opcode
+ * @param {Buffer} payload Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Send a JSON message to a socket
+ * @param {net.Socket} socket Client socket
+ * @param {Object} message Message to send
+ */
+function send(socket, message) {
+    if (socket.destroyed) return;
+    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+}
+
+/**
+ * Close a socket with a status code
+ * @param {net.Socket} socket Client socket
+ * @param {number} code WebSocket close code
+ */
+function closeSocket(socket, code) {
+    if (socket.destroyed) return;
+    
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(0x8, payload));
+}
+
+/**
+ * Pull complete frames out of a socket's receive buffer
+ * @param {net.Socket} socket Client socket
+ */
+function readFrames(socket) {
+    while (socket.buffer.length >= 2) {
+        const buffer = socket.buffer;
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        // Clients must mask their frames
+        if (!masked) {
+            closeSocket(socket, 1002);
+            return;
+        }
+        
+        if (length > config.maxMessageSize || socket.fragments.length + length > config.maxMessageSize) {
+            closeSocket(socket, 1009);
+            return;
+        }
+        
+        if (buffer.length < offset + 4 + length) return;
+        
+        const mask = buffer.slice(offset, offset + 4);
+        const payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        
+        socket.buffer = buffer.slice(offset + 4 + length);
+        
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+                socket.fragments = Buffer.concat([socket.fragments, payload]);
+                if (fin) {
+                    const text = socket.fragments.toString('utf8');
+                    socket.fragments = Buffer.alloc(0);
+                    handleMessage(socket, text);
+                }
+                break;
+            
+            case 0x8: // Close
+                closeSocket(socket, 1000);
+                return;
+            
+            case 0x9: // Ping
+                socket.write(encodeFrame(0xa, payload));
+                break;
+            
+            case 0xa: // Pong
+                socket.alive = true;
+                break;
+            
+            default:
+                // Binary frames aren't part of the protocol
+                closeSocket(socket, 1003);
+                return;
+        }
+    }
+}
+
+/**
+ * Handle a bus message from a client
+ * @param {net.Socket} socket Client socket
+ * @param {string} text Raw message
+ */
+function handleMessage(socket, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (error) {
+        return;
+    }
+    
+    if (!message || typeof message.kind !== 'string') return;
+    
+    // Claiming an ID registers the socket under it
+    if (message.kind === 'claim') {
+        const peerId = String(message.from || '');
+        const holder = clients.get(peerId);
+        
+        if (!peerId || socket.peerId || (holder && holder !== socket)) {
+            send(socket, { kind: 'taken', nonce: message.nonce });
+            return;
+        }
+        
+        socket.peerId = peerId;
+        clients.set(peerId, socket);
+        send(socket, { kind: 'claimed', nonce: message.nonce });
+        log(`${peerId} connected (${clients.size} online)`);
+        return;
+    }
+    
+    if (!socket.peerId) return;
+    
+    // Never trust the sender field from the client
+    const from = socket.peerId;
+    const to = String(message.to || '');
+    const target = clients.get(to);
+    
+    if (message.kind === 'connect') {
+        if (!target || links.has(message.connectionId)) {
+            send(socket, { kind: 'unavailable', from: to, to: from, connectionId: message.connectionId });
+            return;
+        }
+        
+        links.set(message.connectionId, { dialer: from, target: to });
+    } else {
+        // Everything else must travel along a link between exactly these two peers
+        const link = links.get(message.connectionId);
+        if (!link || !((link.dialer === from && link.target === to) || (link.dialer === to && link.target === from))) {
+            return;
+        }
+        
+        if (message.kind === 'close') {
+            links.delete(message.connectionId);
+        }
+    }
+    
+    if (target) {
+        send(target, { ...message, from });
+    }
+}
+
+/**
+ * Forget a client and close its links
+ * @param {net.Socket} socket Client socket
+ */
+function dropClient(socket) {
+    if (!socket.peerId || clients.get(socket.peerId) !== socket) return;
+    
+    clients.delete(socket.peerId);
+    
+    links.forEach((link, connectionId) => {
+        if (link.dialer !== socket.peerId && link.target !== socket.peerId) return;
+        
+        const otherId = link.dialer === socket.peerId ? link.target : link.dialer;
+        const other = clients.get(otherId);
+        if (other) {
+            send(other, { kind: 'close', from: socket.peerId, to: otherId, connectionId });
+        }
+        
+        links.delete(connectionId);
+    });
+    
+    log(`${socket.peerId} disconnected (${clients.size} online)`);
+}
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end('MentalPlayer relay\n');
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    socket.buffer = Buffer.alloc(0);
+    socket.fragments = Buffer.alloc(0);
+    socket.alive = true;
+    socket.peerId = '';
+    
+    socket.on('data', chunk => {
+        socket.buffer = Buffer.concat([socket.buffer, chunk]);
+        readFrames(socket);
+    });
+    
+    // HTTP server sockets are half-open, so finish our side when the client hangs up
+    socket.on('end', () => socket.end());
+    socket.on('close', () => dropClient(socket));
+    socket.on('error', () => socket.destroy());
+});
+
+// Drop sockets that stopped answering pings
+setInterval(() => {
+    clients.forEach(socket => {
+        if (!socket.alive) {
+            socket.destroy();
+            return;
+        }
+        
+        socket.alive = false;
+        socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+    });
+}, config.pingInterval);
+
+server.listen(config.port, () => {
+    log(`Listening on port ${config.port}`);
+});
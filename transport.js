@@ -0,0 +1,460 @@
+/**
+ * Transport Registry for MentalPlayer
+ * Manages the network transports ConnectionManager can run on
+ *
+ * A transport provides:
+ *   name                 Display name
+ *   isAvailable()        Whether it can be used right now
+ *   load()               Optional; resolves once the transport becomes available
+ *   listen(id, options)  Create an endpoint reachable under the given ID
+ *
+ * Endpoints and connections follow the PeerJS API ConnectionManager was built on:
+ *   endpoint.connect(peerId, { metadata, reliable })  Open a connection to another endpoint;
+ *                        reliable: false asks for an unordered channel that may drop messages
+ *   endpoint.reconnect(), endpoint.destroy(), endpoint.open
+ *   endpoint events: open(id), connection(connection), error(error), disconnected, close
+ *   connection.peer, connection.metadata, connection.open
+ *   connection.send(data), connection.close()
+ *   connection events: open, data(data), close, error(error)
+ *
+ * @version 1.0.0
+ */
+
+const Transports = (() => {
+    // Private storage for registered transports
+    const transports = {};
+    
+    // Required methods for transports
+    const requiredMethods = [
+        'isAvailable', // Whether the transport can be used
+        'listen'       // Create an endpoint
+    ];
+    
+    // Timing for bus endpoints
+    const busDefaults = {
+        claimTimeout: 200,   // Time for an existing endpoint to object to our ID
+        connectTimeout: 3000, // Time for the other endpoint to accept a connection
+        awaitClaim: false    // Wait for a server to confirm the claim instead of assuming silence means yes
+    };
+    
+    /**
+     * Register a new transport
+     * @param {string} id Unique identifier for the transport
+     * @param {Object} transport Transport implementation
+     * @returns {boolean} Success status
+     */
+    function registerTransport(id, transport) {
+        // Validate ID
+        if (!id || typeof id !== 'string') {
+            console.error('[Transports] Invalid transport ID');
+            return false;
+        }
+        
+        // Check if already registered
+        if (transports[id]) {
+            console.warn(`[Transports] Transport '${id}' is already registered`);
+            return false;
+        }
+        
+        // Validate required methods
+        const missingMethods = requiredMethods.filter(method => typeof transport[method] !== 'function');
+        if (missingMethods.length > 0) {
+            console.error(`[Transports] Transport '${id}' is missing required methods: ${missingMethods.join(', ')}`);
+            return false;
+        }
+        
+        transports[id] = transport;
+        
+        console.log(`[Transports] Registered transport: ${id}`);
+        return true;
+    }
+    
+    /**
+     * Get a registered transport
+     * @param {string} id Transport identifier
+     * @returns {Object|null} Transport or null if not found
+     */
+    function getTransport(id) {
+        if (!transports[id]) {
+            console.warn(`[Transports] Transport '${id}' not found`);
+            return null;
+        }
+        
+        return transports[id];
+    }
+    
+    /**
+     * Get metadata for all registered transports
+     * @returns {Array<Object>} Array of { id, name, available }
+     */
+    function getRegisteredTransports() {
+        return Object.keys(transports).map(id => ({
+            id,
+            name: transports[id].name || id,
+            available: transports[id].isAvailable()
+        }));
+    }
+    
+    /**
+     * Give an object on/off methods and return its emit function
+     * @param {Object} target Object to turn into an event emitter
+     * @returns {Function} emit(event, ...args)
+     */
+    function createEmitter(target) {
+        const listeners = {};
+        
+        target.on = (event, handler) => {
+            (listeners[event] = listeners[event] || []).push(handler);
+            return target;
+        };
+        
+        target.off = (event, handler) => {
+            if (listeners[event]) {
+                listeners[event] = listeners[event].filter(listener => listener !== handler);
+            }
+            return target;
+        };
+        
+        return (event, ...args) => {
+            (listeners[event] || []).slice().forEach(handler => {
+                try {
+                    handler(...args);
+                } catch (error) {
+                    console.error(`[Transports] Error in ${event} handler: ${error.message}`);
+                }
+            });
+        };
+    }
+    
+    /**
+     * Create an error shaped like the ones PeerJS emits
+     * @param {string} type Error type (e.g. 'peer-unavailable')
+     * @param {string} message Error message
+     * @returns {Error} Error with a type property
+     */
+    function createTransportError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        return error;
+    }
+    
+    /**
+     * Create an endpoint on top of a shared message bus.
+     * Every endpoint on the bus sees every message and picks out the ones addressed to it.
+     * @param {string} id ID to listen under
+     * @param {Object} bus Bus with post(message), subscribe(handler, onDown) returning an unsubscribe function, and optional close()
+     * @param {Object} options Optional claimTimeout, connectTimeout and awaitClaim overrides
+     * @returns {Object} Endpoint
+     */
+    function createBusEndpoint(id, bus, options = {}) {
+        const timing = { ...busDefaults, ...options };
+        const nonce = Math.random().toString(36).slice(2);
+        const connections = {}; // Connection records by connection ID
+        let connectionCount = 0;
+        let claimTimer = null;
+        let unsubscribe = null;
+        
+        const endpoint = {
+            id,
+            open: false,
+            disconnected: true,
+            destroyed: false
+        };
+        const emit = createEmitter(endpoint);
+        
+        /**
+         * Post a message from this endpoint
+         * @param {Object} message Bus message
+         */
+        function post(message) {
+            bus.post({ ...message, from: id });
+        }
+        
+        /**
+         * Start listening on the bus and claim our ID
+         */
+        function attach() {
+            unsubscribe = bus.subscribe(handleBusMessage, handleBusDown);
+            endpoint.disconnected = false;
+            
+            // Anyone already using this ID objects within the claim timeout
+            post({ kind: 'claim', nonce });
+            claimTimer = setTimeout(() => {
+                claimTimer = null;
+                
+                // A server that never confirmed the claim is unreachable
+                if (timing.awaitClaim) {
+                    detach();
+                    emit('error', createTransportError('network', 'No response from server'));
+                    return;
+                }
+                
+                markOpen();
+            }, timing.claimTimeout);
+        }
+        
+        /**
+         * Start accepting and making connections
+         */
+        function markOpen() {
+            clearTimeout(claimTimer);
+            claimTimer = null;
+            endpoint.open = true;
+            emit('open', id);
+        }
+        
+        /**
+         * Handle the bus itself going away (e.g. a dropped socket)
+         */
+        function handleBusDown() {
+            if (endpoint.destroyed || endpoint.disconnected) return;
+            
+            // Nothing can travel over our connections any more
+            Object.keys(connections).forEach(closeConnection);
+            
+            const wasClaiming = !!claimTimer;
+            detach();
+            
+            if (wasClaiming) {
+                emit('error', createTransportError('network', 'Could not reach server'));
+            } else {
+                emit('disconnected', id);
+            }
+        }
+        
+        /**
+         * Stop listening on the bus
+         */
+        function detach() {
+            clearTimeout(claimTimer);
+            claimTimer = null;
+            
+            if (unsubscribe) {
+                unsubscribe();
+                unsubscribe = null;
+            }
+            
+            endpoint.open = false;
+            endpoint.disconnected = true;
+        }
+        
+        /**
+         * Create a connection object for a link with another endpoint
+         * @param {string} peerId ID of the other endpoint
+         * @param {string} connectionId Shared ID of the link
+         * @param {Object} metadata Metadata supplied by the dialing side
+         * @returns {Object} Connection
+         */
+        function createConnection(peerId, connectionId, metadata) {
+            const connection = {
+                peer: peerId,
+                connectionId,
+                metadata,
+                open: false
+            };
+            const record = {
+                connection,
+                emit: createEmitter(connection),
+                timeoutId: null
+            };
+            
+            connection.send = data => {
+                if (!connection.open) {
+                    throw new Error('Connection is not open');
+                }
+                
+                post({ kind: 'data', to: peerId, connectionId, payload: data });
+            };
+            
+            connection.close = () => {
+                if (connections[connectionId] !== record) return;
+                
+                post({ kind: 'close', to: peerId, connectionId });
+                closeConnection(connectionId);
+            };
+            
+            connections[connectionId] = record;
+            return record;
+        }
+        
+        /**
+         * Mark a connection as open
+         * @param {string} connectionId Connection ID
+         */
+        function openConnection(connectionId) {
+            const record = connections[connectionId];
+            if (!record || record.connection.open) return;
+            
+            clearTimeout(record.timeoutId);
+            record.connection.open = true;
+            record.emit('open');
+        }
+        
+        /**
+         * Forget a connection and notify its listeners
+         * @param {string} connectionId Connection ID
+         */
+        function closeConnection(connectionId) {
+            const record = connections[connectionId];
+            if (!record) return;
+            
+            delete connections[connectionId];
+            clearTimeout(record.timeoutId);
+            record.connection.open = false;
+            record.emit('close');
+        }
+        
+        /**
+         * Handle a message seen on the bus
+         * @param {Object} message Bus message
+         */
+        function handleBusMessage(message) {
+            if (!message || endpoint.destroyed) return;
+            
+            // Another endpoint wants our ID
+            if (message.kind === 'claim') {
+                if (message.from === id && message.nonce !== nonce && endpoint.open) {
+                    post({ kind: 'taken', nonce: message.nonce });
+                }
+                return;
+            }
+            
+            // Someone else already has the ID we claimed
+            if (message.kind === 'taken') {
+                if (message.nonce === nonce && claimTimer) {
+                    detach();
+                    emit('error', createTransportError('unavailable-id', `ID "${id}" is taken`));
+                }
+                return;
+            }
+            
+            // A server confirmed the ID is ours
+            if (message.kind === 'claimed') {
+                if (message.nonce === nonce && claimTimer) {
+                    markOpen();
+                }
+                return;
+            }
+            
+            if (message.to !== id || !endpoint.open) return;
+            
+            switch (message.kind) {
+                case 'connect': {
+                    const record = createConnection(message.from, message.connectionId, message.metadata);
+                    post({ kind: 'accept', to: message.from, connectionId: message.connectionId });
+                    emit('connection', record.connection);
+                    
+                    // Open once the listeners added by the 'connection' handler are in place
+                    setTimeout(() => openConnection(message.connectionId), 0);
+                    break;
+                }
+                
+                case 'accept':
+                    openConnection(message.connectionId);
+                    break;
+                
+                case 'unavailable': {
+                    // A server told us right away that nobody listens under that ID
+                    const record = connections[message.connectionId];
+                    if (record && !record.connection.open) {
+                        clearTimeout(record.timeoutId);
+                        delete connections[message.connectionId];
+                        emit('error', createTransportError('peer-unavailable', `Could not connect to peer ${message.from}`));
+                    }
+                    break;
+                }
+                
+                case 'data': {
+                    const record = connections[message.connectionId];
+                    if (record && record.connection.open) {
+                        record.emit('data', message.payload);
+                    }
+                    break;
+                }
+                
+                case 'close':
+                    closeConnection(message.connectionId);
+                    break;
+            }
+        }
+        
+        /**
+         * Open a connection to another endpoint
+         * @param {string} peerId ID of the endpoint to connect to
+         * @param {Object} connectOptions Options; only metadata is used, and the bus is always reliable
+         * @returns {Object} Connection
+         */
+        endpoint.connect = (peerId, connectOptions = {}) => {
+            const connectionId = `${id}-${++connectionCount}-${Math.random().toString(36).slice(2, 8)}`;
+            const record = createConnection(peerId, connectionId, connectOptions.metadata);
+            
+            // Nobody answering means nobody is listening under that ID
+            record.timeoutId = setTimeout(() => {
+                if (connections[connectionId] !== record) return;
+                
+                delete connections[connectionId];
+                emit('error', createTransportError('peer-unavailable', `Could not connect to peer ${peerId}`));
+            }, timing.connectTimeout);
+            
+            post({ kind: 'connect', to: peerId, connectionId, metadata: connectOptions.metadata });
+            return record.connection;
+        };
+        
+        /**
+         * Stop listening but keep the endpoint reusable
+         */
+        endpoint.disconnect = () => {
+            if (endpoint.disconnected || endpoint.destroyed) return;
+            
+            detach();
+            emit('disconnected', id);
+        };
+        
+        /**
+         * Listen again after a disconnect
+         */
+        endpoint.reconnect = () => {
+            if (!endpoint.disconnected || endpoint.destroyed) return;
+            
+            attach();
+        };
+        
+        /**
+         * Close every connection and release the ID
+         */
+        endpoint.destroy = () => {
+            if (endpoint.destroyed) return;
+            
+            Object.values(connections).forEach(record => record.connection.close());
+            detach();
+            endpoint.destroyed = true;
+            
+            if (typeof bus.close === 'function') {
+                bus.close();
+            }
+            
+            emit('close');
+        };
+        
+        attach();
+        return endpoint;
+    }
+    
+    // Public API
+    return {
+        registerTransport,
+        getTransport,
+        getRegisteredTransports,
+        createEmitter,
+        createTransportError,
+        createBusEndpoint,
+        
+        // Constants
+        get requiredMethods() {
+            return [...requiredMethods];
+        }
+    };
+})();
+
+// Make Transports available globally
+window.Transports = Transports;
@@ -0,0 +1,74 @@
+/**
+ * BroadcastChannel Transport for MentalPlayer
+ * Connects tabs of the same browser without any network, for same-machine multi-tab play
+ *
+ * @version 1.0.0
+ */
+
+const BroadcastChannelTransport = (() => {
+    const channelName = 'mentalplayer-transport';
+    
+    // Endpoints to release when the tab goes away
+    const endpoints = new Set();
+    
+    /**
+     * Check whether the browser supports BroadcastChannel
+     * @returns {boolean} True if available
+     */
+    function isAvailable() {
+        return typeof window.BroadcastChannel === 'function';
+    }
+    
+    /**
+     * Create a bus backed by a BroadcastChannel
+     * @param {string} name Channel name
+     * @returns {Object} Bus
+     */
+    function createBus(name) {
+        const channel = new BroadcastChannel(name);
+        
+        return {
+            post: message => channel.postMessage(message),
+            subscribe: handler => {
+                channel.onmessage = event => handler(event.data);
+                return () => {
+                    channel.onmessage = null;
+                };
+            },
+            close: () => channel.close()
+        };
+    }
+    
+    /**
+     * Create an endpoint visible to every tab on the channel
+     * @param {string} id ID to listen under
+     * @param {Object} options Optional channel name and bus timing overrides
+     * @returns {Object} Endpoint
+     */
+    function listen(id, options = {}) {
+        const endpoint = Transports.createBusEndpoint(id, createBus(options.channel || channelName), options);
+        
+        endpoints.add(endpoint);
+        endpoint.on('close', () => endpoints.delete(endpoint));
+        
+        return endpoint;
+    }
+    
+    // Tell the other tabs right away instead of leaving them to time out
+    window.addEventListener('pagehide', () => {
+        endpoints.forEach(endpoint => endpoint.destroy());
+    });
+    
+    return {
+        name: 'BroadcastChannel (this browser only)',
+        isAvailable,
+        listen
+    };
+})();
+
+// Register with Transports if available
+if (window.Transports) {
+    Transports.registerTransport('broadcast', BroadcastChannelTransport);
+} else {
+    console.warn('[BroadcastChannelTransport] Transports not available, transport not registered');
+}
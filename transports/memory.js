@@ -0,0 +1,81 @@
+/**
+ * In-Memory Transport for MentalPlayer
+ * Connects endpoints inside a single page, for automated tests without a network
+ *
+ * Usage from a test:
+ *   const network = Transports.getTransport('memory').createNetwork();
+ *   ConnectionManager.init({ transport: 'memory', transportOptions: { network } });
+ *   const guest = Transports.getTransport('memory').listen('guest', { network });
+ *
+ * @version 1.0.0
+ */
+
+const MemoryTransport = (() => {
+    /**
+     * Create an isolated network; endpoints only see others on the same network
+     * @param {Object} options Optional latency in milliseconds
+     * @returns {Object} Network with createBus()
+     */
+    function createNetwork(options = {}) {
+        const latency = options.latency || 0;
+        const handlers = new Set();
+        
+        return {
+            /**
+             * Create a bus attached to this network
+             * @returns {Object} Bus
+             */
+            createBus() {
+                let ownHandler = null;
+                
+                return {
+                    post: message => {
+                        // Copy like a real channel would, so shared references can't leak between peers
+                        const serialized = JSON.stringify(message);
+                        
+                        handlers.forEach(handler => {
+                            if (handler === ownHandler) return;
+                            setTimeout(() => handler(JSON.parse(serialized)), latency);
+                        });
+                    },
+                    subscribe: handler => {
+                        ownHandler = handler;
+                        handlers.add(handler);
+                        return () => {
+                            handlers.delete(handler);
+                            ownHandler = null;
+                        };
+                    }
+                };
+            }
+        };
+    }
+    
+    // Network used when a caller doesn't bring its own
+    const defaultNetwork = createNetwork();
+    
+    /**
+     * Create an endpoint on an in-memory network
+     * @param {string} id ID to listen under
+     * @param {Object} options Optional network and bus timing overrides
+     * @returns {Object} Endpoint
+     */
+    function listen(id, options = {}) {
+        const network = options.network || defaultNetwork;
+        return Transports.createBusEndpoint(id, network.createBus(), options);
+    }
+    
+    return {
+        name: 'In-memory (single page)',
+        isAvailable: () => true,
+        listen,
+        createNetwork
+    };
+})();
+
+// Register with Transports if available
+if (window.Transports) {
+    Transports.registerTransport('memory', MemoryTransport);
+} else {
+    console.warn('[MemoryTransport] Transports not available, transport not registered');
+}
@@ -0,0 +1,82 @@
+/**
+ * PeerJS Transport for MentalPlayer
+ * WebRTC data channels brokered by the public PeerJS signaling server
+ *
+ * @version 1.0.0
+ */
+
+const PeerJSTransport = (() => {
+    const libraryUrl = 'https://unpkg.com/peerjs@1.4.7/dist/peerjs.min.js';
+    
+    /**
+     * Check whether the PeerJS library is loaded
+     * @returns {boolean} True if window.Peer exists
+     */
+    function isAvailable() {
+        return !!window.Peer;
+    }
+    
+    /**
+     * Load the PeerJS library
+     * @returns {Promise} Resolves once window.Peer is available
+     */
+    function load() {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = libraryUrl;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error('Failed to load PeerJS library'));
+            
+            document.head.appendChild(script);
+        });
+    }
+    
+    /**
+     * Turn a PeerServer URL into PeerJS connection options
+     * @param {string} signalingUrl e.g. https://peer.example.com:9000/myapp?key=peerjs
+     * @returns {Object} { host, port, path, secure, key }
+     */
+    function parseSignalingUrl(signalingUrl) {
+        const url = new URL(signalingUrl);
+        const secure = url.protocol === 'https:' || url.protocol === 'wss:';
+        
+        return {
+            host: url.hostname,
+            port: Number(url.port) || (secure ? 443 : 80),
+            path: url.pathname || '/',
+            secure,
+            key: url.searchParams.get('key') || 'peerjs'
+        };
+    }
+    
+    /**
+     * Create a PeerJS peer; it already matches the endpoint interface
+     * @param {string} id ID to register with the signaling server
+     * @param {Object} options { iceServers, signalingUrl, debug }; no signalingUrl uses the PeerJS cloud
+     * @returns {Peer} PeerJS peer
+     */
+    function listen(id, options = {}) {
+        return new Peer(id, {
+            ...(options.signalingUrl ? parseSignalingUrl(options.signalingUrl) : {}),
+            config: {
+                iceServers: options.iceServers,
+                iceCandidatePoolSize: 10
+            },
+            debug: options.debug ? 2 : 0
+        });
+    }
+    
+    return {
+        name: 'PeerJS (WebRTC)',
+        isAvailable,
+        load,
+        listen
+    };
+})();
+
+// Register with Transports if available
+if (window.Transports) {
+    Transports.registerTransport('peerjs', PeerJSTransport);
+} else {
+    console.warn('[PeerJSTransport] Transports not available, transport not registered');
+}
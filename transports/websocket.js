@@ -0,0 +1,110 @@
+/**
+ * WebSocket Relay Transport for MentalPlayer
+ * Passes every message through a relay server (see server/relay.js), for
+ * players behind firewalls where WebRTC can't get through
+ *
+ * @version 1.0.0
+ */
+
+const WebSocketTransport = (() => {
+    // Relay timing; the server confirms claims, so allow for a slow handshake
+    const defaults = {
+        awaitClaim: true,
+        claimTimeout: 10000,
+        connectTimeout: 5000
+    };
+    
+    /**
+     * Check whether the browser supports WebSockets
+     * @returns {boolean} True if available
+     */
+    function isAvailable() {
+        return typeof window.WebSocket === 'function';
+    }
+    
+    /**
+     * Create a bus backed by a socket to the relay server.
+     * Each subscribe opens a fresh socket, so an endpoint can reconnect after a drop.
+     * @param {string} url Relay server URL (ws:// or wss://)
+     * @returns {Object} Bus
+     */
+    function createBus(url) {
+        let socket = null;
+        let queue = []; // Messages posted before the socket opened
+        
+        return {
+            post: message => {
+                const text = JSON.stringify(message);
+                
+                if (socket && socket.readyState === WebSocket.OPEN) {
+                    socket.send(text);
+                } else {
+                    queue.push(text);
+                }
+            },
+            subscribe: (handler, onDown) => {
+                const current = new WebSocket(url);
+                socket = current;
+                
+                current.onopen = () => {
+                    queue.forEach(text => current.send(text));
+                    queue = [];
+                };
+                
+                current.onmessage = event => {
+                    try {
+                        handler(JSON.parse(event.data));
+                    } catch (error) {
+                        console.error(`[WebSocketTransport] Bad message from relay: ${error.message}`);
+                    }
+                };
+                
+                current.onclose = () => {
+                    if (socket !== current) return;
+                    
+                    socket = null;
+                    queue = [];
+                    
+                    if (onDown) {
+                        onDown();
+                    }
+                };
+                
+                return () => {
+                    if (socket !== current) return;
+                    
+                    socket = null;
+                    queue = [];
+                    current.close();
+                };
+            }
+        };
+    }
+    
+    /**
+     * Create an endpoint on the relay server
+     * @param {string} id ID to claim on the relay
+     * @param {Object} options { relayUrl } plus optional bus timing overrides
+     * @returns {Object} Endpoint
+     */
+    function listen(id, options = {}) {
+        if (!options.relayUrl) {
+            throw new Error('No relay server configured');
+        }
+        
+        return Transports.createBusEndpoint(id, createBus(options.relayUrl), { ...defaults, ...options });
+    }
+    
+    return {
+        name: 'WebSocket relay',
+        isAvailable,
+        listen
+    };
+})();
+
+// Register with Transports if available
+if (window.Transports) {
+    Transports.registerTransport('websocket', WebSocketTransport);
+} else {
+    console.warn('[WebSocketTransport] Transports not available, transport not registered');
+}